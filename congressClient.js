@@ -0,0 +1,146 @@
+// congressClient.js
+//
+// Small Congress.gov API client shared by the member, bill and vote syncs.
+// Handles the API key, timeouts, client-side rate limiting and retries with
+// exponential backoff (honoring Retry-After on 429s). The base URL is
+// configurable so syncs can be pointed at a local fixture server.
+
+const DEFAULT_BASE_URL = "https://api.congress.gov/v3";
+
+// Congress.gov allows 5,000 requests per hour per key.
+const DEFAULT_REQUESTS_PER_HOUR = 5000;
+
+export class CongressApiError extends Error {
+  constructor(message, { status = null, url = null, body = null } = {}) {
+    super(message);
+    this.name = "CongressApiError";
+    this.status = status;
+    this.url = url;
+    this.body = body;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return null;
+}
+
+// Never log the API key
+function redactUrl(url) {
+  const copy = new URL(url);
+  if (copy.searchParams.has("api_key")) copy.searchParams.set("api_key", "***");
+  return copy.toString();
+}
+
+export function createCongressClient({
+  baseUrl = DEFAULT_BASE_URL,
+  apiKey = null,
+  timeoutMs = 30000,
+  maxRetries = 4,
+  retryBaseDelayMs = 1000,
+  requestsPerHour = DEFAULT_REQUESTS_PER_HOUR,
+} = {}) {
+  const root = String(baseUrl).replace(/\/+$/, "");
+  const minIntervalMs = requestsPerHour > 0 ? 3600000 / requestsPerHour : 0;
+
+  // Requests are spaced at least minIntervalMs apart across all callers.
+  let nextSlotAt = 0;
+
+  async function waitForSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, nextSlotAt);
+    nextSlotAt = slot + minIntervalMs;
+    if (slot > now) await sleep(slot - now);
+  }
+
+  function buildUrl(pathname, params = {}) {
+    const url = new URL(root + "/" + String(pathname).replace(/^\/+/, ""));
+    if (apiKey) url.searchParams.set("api_key", apiKey);
+    url.searchParams.set("format", "json");
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, String(value));
+      }
+    }
+    return url;
+  }
+
+  // The timeout covers reading the body too, so a response that stalls
+  // after its headers can't hang a sync.
+  async function fetchOnce(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetch(url, { signal: controller.signal });
+      return { res, text: await res.text() };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // GET a JSON resource, e.g. get("/bill/118", { limit: 250, offset: 0 }).
+  // Throws CongressApiError once retries are exhausted or on a non-retryable
+  // status (4xx other than 429).
+  async function get(pathname, params = {}) {
+    if (!apiKey) {
+      throw new CongressApiError("CONGRESS_API_KEY is missing");
+    }
+
+    const url = buildUrl(pathname, params);
+    const safeUrl = redactUrl(url);
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      await waitForSlot();
+
+      let res;
+      let text;
+      try {
+        ({ res, text } = await fetchOnce(url));
+      } catch (err) {
+        const reason = err.name === "AbortError" ? `timed out after ${timeoutMs}ms` : err.message;
+        lastError = new CongressApiError(`Congress.gov request ${reason}`, { url: safeUrl });
+      }
+
+      if (res) {
+        if (res.ok) {
+          return JSON.parse(text);
+        }
+
+        const body = text.slice(0, 500);
+        lastError = new CongressApiError(
+          `Congress.gov request failed: ${res.status} – ${body.slice(0, 200)}`,
+          { status: res.status, url: safeUrl, body }
+        );
+
+        if (!isRetryableStatus(res.status)) throw lastError;
+      }
+
+      if (attempt === maxRetries) break;
+
+      const backoff = retryBaseDelayMs * 2 ** attempt + Math.random() * retryBaseDelayMs;
+      const retryAfter = res ? parseRetryAfter(res.headers.get("retry-after")) : null;
+      const delay = Math.max(backoff, retryAfter || 0);
+
+      console.warn(
+        `[congress-api] ${lastError.message} (${safeUrl}); retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`
+      );
+      await sleep(delay);
+    }
+
+    throw lastError;
+  }
+
+  return { get, baseUrl: root };
+}
@@ -4,23 +4,46 @@ import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
 import crypto from "crypto";
+import { promisify } from "util";
 import pkg from "pg";
+import sharp from "sharp";
+import { createCongressClient, CongressApiError } from "./congressClient.js";
 
 const { Pool } = pkg;
 
 const app = express();
 
 // --- config ---
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "change-me";
+// Only used to bootstrap the first superadmin when admin_users is empty
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || "admin";
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null;
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || "12", 10) || 12;
 const DATABASE_URL = process.env.DATABASE_URL;
-const CONGRESS_API_KEY =
-  process.env.CONGRESS_API_KEY ||
-  "NUtl5kWwSI4bWZKgjAbWxwALpFfL3gHWFPrwh0P0";
-
-// 118 is "current" for scoring purposes (current congress score)
-const CURRENT_CONGRESS = 118;
-
-// NOTE: we now explicitly pull only congress 117 & 118, so we don't use a
+const CONGRESS_API_KEY = process.env.CONGRESS_API_KEY || null;
+const CONGRESS_API_BASE_URL =
+  process.env.CONGRESS_API_BASE_URL || "https://api.congress.gov/v3";
+// 0 turns retries off, so only fall back when the value isn't a whole number
+const CONGRESS_API_MAX_RETRIES = /^\d+$/.test(process.env.CONGRESS_API_MAX_RETRIES || "")
+  ? Number(process.env.CONGRESS_API_MAX_RETRIES)
+  : 4;
+
+// The "current" congress (for current_score) is derived from today's date
+// unless CURRENT_CONGRESS pins it. TRACKED_CONGRESSES ("117,118" or
+// "117-119") controls which congresses are crawled; by default that's the
+// 117th through the current one.
+const CURRENT_CONGRESS_OVERRIDE = parseInt(process.env.CURRENT_CONGRESS || "", 10) || null;
+const TRACKED_CONGRESSES_RAW = process.env.TRACKED_CONGRESSES || null;
+const FIRST_TRACKED_CONGRESS = 117;
+
+// bioguide <-> LIS (Senate) id crosswalk from the congress-legislators project
+const LEGISLATORS_CURRENT_URL =
+  process.env.LEGISLATORS_CURRENT_URL ||
+  "https://theunitedstates.io/congress-legislators/legislators-current.json";
+const LEGISLATORS_HISTORICAL_URL =
+  process.env.LEGISLATORS_HISTORICAL_URL ||
+  "https://theunitedstates.io/congress-legislators/legislators-historical.json";
+
+// NOTE: we now explicitly pull only the tracked congresses, so we don't use a
 // date cutoff anymore for bill import. We keep the constant for reference.
 const BILL_IMPORT_CUTOFF = new Date("1900-01-01T00:00:00Z"); // effectively no cutoff
 
@@ -32,6 +55,15 @@ if (!CONGRESS_API_KEY) {
   console.error("CONGRESS_API_KEY is not set. Congress.gov integration will fail.");
 }
 
+const congressApi = createCongressClient({
+  baseUrl: CONGRESS_API_BASE_URL,
+  apiKey: CONGRESS_API_KEY,
+  timeoutMs: parseInt(process.env.CONGRESS_API_TIMEOUT_MS || "30000", 10) || 30000,
+  maxRetries: CONGRESS_API_MAX_RETRIES,
+  requestsPerHour:
+    parseInt(process.env.CONGRESS_API_REQUESTS_PER_HOUR || "5000", 10) || 5000,
+});
+
 const pool = new Pool({
   connectionString: DATABASE_URL,
   ssl: { rejectUnauthorized: false },
@@ -123,62 +155,510 @@ function normalizeState(rawState) {
   return null;
 }
 
+// -----------------------------
+//   CONGRESS NUMBERS
+// -----------------------------
+
+// Each Congress starts on January 3rd of an odd year (the 1st began in 1789).
+function congressForDate(date = new Date()) {
+  let year = date.getUTCFullYear();
+  const beforeJan3 = date.getUTCMonth() === 0 && date.getUTCDate() < 3;
+  if (beforeJan3) year -= 1;
+  return Math.floor((year - 1789) / 2) + 1;
+}
+
+function getCurrentCongress() {
+  return CURRENT_CONGRESS_OVERRIDE || congressForDate();
+}
+
+// "117,118" or "117-119" -> [117, 118, 119]
+function parseCongressList(raw) {
+  const result = new Set();
+  for (const part of String(raw).split(",")) {
+    const [from, to] = part.split("-").map((v) => parseInt(v, 10));
+    if (!from) continue;
+    for (let c = from; c <= (to || from); c++) result.add(c);
+  }
+  return [...result].sort((a, b) => a - b);
+}
+
+// Ascending list of congresses we crawl and accept bills from
+function getTrackedCongresses() {
+  if (TRACKED_CONGRESSES_RAW) {
+    const parsed = parseCongressList(TRACKED_CONGRESSES_RAW);
+    if (parsed.length) return parsed;
+    console.warn("TRACKED_CONGRESSES is set but unparseable:", TRACKED_CONGRESSES_RAW);
+  }
+  const current = getCurrentCongress();
+  const tracked = [];
+  for (let c = Math.min(FIRST_TRACKED_CONGRESS, current); c <= current; c++) {
+    tracked.push(c);
+  }
+  return tracked;
+}
+
+// -----------------------------
+//   QUERY HELPERS
+// -----------------------------
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Parse page / pageSize query params into safe integers + an OFFSET.
+function parsePagination(query, defaultPageSize = 50, maxPageSize = 500) {
+  const pageRaw = parseInt(query.page || "1", 10);
+  const pageSizeRaw = parseInt(query.pageSize || String(defaultPageSize), 10);
+
+  const page = Math.max(pageRaw || 1, 1);
+  const pageSize = Math.min(Math.max(pageSizeRaw || defaultPageSize, 1), maxPageSize);
+
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+// Versioned photo URL for a politicians row, or NULL when it has no photo.
+// The ?v= changes with every new photo, so clients may cache it forever; add
+// &size=thumb|medium for a smaller rendition.
+function memberPhotoUrlSql(table = "politicians") {
+  return `(
+        SELECT '/api/members/' || ph.member_id || '/photo?v=' || ph.etag
+        FROM member_photos ph
+        WHERE ph.member_id = ${table}.id AND ph.size = 'full'
+      )`;
+}
+
 // -----------------------------
 //   SCORE RECOMPUTE
 // -----------------------------
 
-async function recomputeScoresForMember(memberId) {
+// AF-aligned direction of a roll call: the admin's explicit af_vote, or
+// implied by the bill's rating (Yea on America First, Nay on Anti-AF).
+// Expects roll_calls aliased as rc and bills as b.
+const ROLL_CALL_AF_VOTE_SQL = `
+  COALESCE(
+    rc.af_vote,
+    CASE b.af_position
+      WHEN 'America First' THEN 'Yea'
+      WHEN 'Anti-America First' THEN 'Nay'
+    END
+  )
+`;
+
+// How a "Not Voting" position on a scored vote affects the score:
+//   ignore    – left out of the score (participation still drops)
+//   key_votes – counts as misaligned on key votes (bill weight > 1)
+//   all       – counts as misaligned on every scored vote
+// Stored in app_settings as missed_vote_policy; see PUT /api/admin/settings/scoring.
+const MISSED_VOTE_POLICIES = ["ignore", "key_votes", "all"];
+let missedVotePolicy = "ignore";
+
+async function loadScoringSettings() {
   const { rows } = await pool.query(
-    `
+    "SELECT value FROM app_settings WHERE key = 'missed_vote_policy'"
+  );
+  if (rows.length && MISSED_VOTE_POLICIES.includes(rows[0].value)) {
+    missedVotePolicy = rows[0].value;
+  }
+}
+
+// Scores are weighted percentages: each scored roll call counts for its
+// bill's weight (key votes are weighted above 1). Bills with no scored roll
+// calls (e.g. manually entered votes) fall back to the bill-level
+// member_votes row, whose raw position is implied by `vote` when missing.
+// Bills flagged is_scored = FALSE are tracked only.
+//
+// Builds the `votes` and `scored` CTEs shared by every score query. `where`
+// gets the member and congress columns of each branch and returns its filter;
+// `currentCongress` and `missedVotePolicy` are placeholders like "$2".
+function scoredVotesCtes({ where, currentCongress = "NULL::int", missedVotePolicy }) {
+  return `
+  votes AS (
     SELECT
-      b.af_position AS "afPosition",
-      mv.vote,
-      mv.is_current_congress AS "isCurrent"
+      mv.member_id,
+      b.congress,
+      CASE b.af_position
+        WHEN 'America First' THEN 'Yea'
+        WHEN 'Anti-America First' THEN 'Nay'
+      END AS af_vote,
+      COALESCE(
+        mv.position,
+        CASE mv.vote WHEN 'Approved' THEN 'Yea' WHEN 'Opposed' THEN 'Nay' END
+      ) AS position,
+      b.weight,
+      COALESCE(mv.is_current_congress, FALSE) AS is_current
     FROM member_votes mv
-    JOIN bills b ON mv.bill_id = b.id
-    WHERE mv.member_id = $1
-  `,
-    [memberId]
+    JOIN bills b ON b.id = mv.bill_id
+    WHERE ${where({ member: "mv.member_id", congress: "b.congress" })}
+      AND b.is_scored
+      AND NOT EXISTS (
+        SELECT 1 FROM roll_calls rc WHERE rc.bill_id = b.id AND rc.is_scored
+      )
+
+    UNION ALL
+
+    SELECT
+      rcv.member_id,
+      rc.congress,
+      ${ROLL_CALL_AF_VOTE_SQL} AS af_vote,
+      rcv.position,
+      b.weight,
+      COALESCE(rc.congress = ${currentCongress}, FALSE) AS is_current
+    FROM roll_call_votes rcv
+    JOIN roll_calls rc ON rc.id = rcv.roll_call_id
+    JOIN bills b ON b.id = rc.bill_id
+    WHERE ${where({ member: "rcv.member_id", congress: "rc.congress" })}
+      AND rc.is_scored
+      AND b.is_scored
+  ),
+  scored AS (
+    SELECT
+      member_id,
+      congress,
+      weight,
+      is_current,
+      position = af_vote AS aligned
+    FROM votes
+    WHERE af_vote IS NOT NULL
+      AND weight > 0
+      AND (
+        position IN ('Yea', 'Nay')
+        OR (
+          position = 'Not Voting'
+          AND (${missedVotePolicy} = 'all'
+            OR (${missedVotePolicy} = 'key_votes' AND weight > 1))
+        )
+      )
+  )`;
+}
+
+// Participation is the share of scored votes where the member wasn't
+// "Not Voting".
+//
+// $1 = member ids (NULL = everyone), $2 = current congress,
+// $3 = missed vote policy. Returns one row: membersUpdated, and changes –
+// [{ memberId, lifetimeScore, currentScore, participationRate }] for every
+// member whose lifetime or current score moved.
+const RECOMPUTE_SCORES_SQL = `
+  WITH targets AS (
+    SELECT id
+    FROM politicians
+    WHERE $1::uuid[] IS NULL OR id = ANY($1::uuid[])
+  ),
+  ${scoredVotesCtes({
+    where: ({ member }) => `${member} IN (SELECT id FROM targets)`,
+    currentCongress: "$2",
+    missedVotePolicy: "$3",
+  })},
+  computed AS (
+    SELECT
+      t.id AS member_id,
+      ROUND((
+        COALESCE(SUM(s.weight) FILTER (WHERE s.aligned), 0)
+        / NULLIF(SUM(s.weight), 0) * 100
+      )::numeric, 4) AS lifetime_score,
+      ROUND((
+        COALESCE(SUM(s.weight) FILTER (WHERE s.aligned AND s.is_current), 0)
+        / NULLIF(SUM(s.weight) FILTER (WHERE s.is_current), 0) * 100
+      )::numeric, 4) AS current_score,
+      COUNT(s.member_id) AS scored_votes,
+      COUNT(*) FILTER (WHERE s.is_current) AS current_scored_votes
+    FROM targets t
+    LEFT JOIN scored s ON s.member_id = t.id
+    GROUP BY t.id
+  ),
+  participation AS (
+    SELECT
+      t.id AS member_id,
+      COUNT(v.position) AS total,
+      COUNT(*) FILTER (WHERE v.position = 'Not Voting') AS missed
+    FROM targets t
+    LEFT JOIN votes v ON v.member_id = t.id
+    GROUP BY t.id
+  ),
+  updated AS (
+    UPDATE politicians p
+    SET lifetime_score = c.lifetime_score,
+        current_score = c.current_score,
+        participation_rate = ROUND(
+          (pa.total - pa.missed)::numeric / NULLIF(pa.total, 0) * 100, 4
+        ),
+        missed_votes = pa.missed,
+        scored_votes = c.scored_votes,
+        current_scored_votes = c.current_scored_votes
+    FROM computed c
+    JOIN participation pa ON pa.member_id = c.member_id
+    JOIN politicians old ON old.id = c.member_id
+    WHERE p.id = c.member_id
+    RETURNING
+      p.id,
+      p.lifetime_score,
+      p.current_score,
+      p.participation_rate,
+      old.lifetime_score IS DISTINCT FROM p.lifetime_score
+        OR old.current_score IS DISTINCT FROM p.current_score AS changed
+  )
+  SELECT
+    (SELECT COUNT(*) FROM updated)::int AS "membersUpdated",
+    COALESCE((
+      SELECT json_agg(
+        json_build_object(
+          'memberId', id,
+          'lifetimeScore', lifetime_score,
+          'currentScore', current_score,
+          'participationRate', participation_rate
+        )
+      )
+      FROM updated
+      WHERE changed
+    ), '[]'::json) AS changes
+`;
+
+// Recompute scores for a set of members (null = every member) in one
+// transaction. Also stores how many scored votes each score is based on
+// (scored_votes / current_scored_votes), which drives "Incomplete" grades.
+// Score changes are snapshotted into score_history with what caused them:
+// { cause: "bill.update", billId, rollCallId }.
+async function recomputeScores(
+  memberIds,
+  { cause = null, billId = null, rollCallId = null } = {}
+) {
+  if (Array.isArray(memberIds) && !memberIds.length) {
+    return { membersUpdated: 0, scoresChanged: 0 };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { rows } = await client.query(RECOMPUTE_SCORES_SQL, [
+      memberIds,
+      getCurrentCongress(),
+      missedVotePolicy,
+    ]);
+    const { membersUpdated, changes } = rows[0];
+
+    if (changes.length) {
+      await client.query(
+        `
+        INSERT INTO score_history
+          (id, member_id, lifetime_score, current_score, participation_rate,
+           cause, bill_id, roll_call_id)
+        SELECT t.id, t.member_id, t.lifetime_score, t.current_score,
+               t.participation_rate, $6, $7, $8
+        FROM unnest($1::uuid[], $2::uuid[], $3::numeric[], $4::numeric[], $5::numeric[])
+          AS t(id, member_id, lifetime_score, current_score, participation_rate)
+      `,
+        [
+          changes.map(() => crypto.randomUUID()),
+          changes.map((c) => c.memberId),
+          changes.map((c) => c.lifetimeScore),
+          changes.map((c) => c.currentScore),
+          changes.map((c) => c.participationRate),
+          cause,
+          billId,
+          rollCallId,
+        ]
+      );
+    }
+
+    await client.query("COMMIT");
+    return { membersUpdated, scoresChanged: changes.length };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function recomputeScoresForMember(memberId, cause = {}) {
+  return recomputeScores([memberId], cause);
+}
+
+// Members whose scored vote counts were never computed (rows from before the
+// counts existed, or members added since the last recompute)
+async function backfillScoredVoteCounts() {
+  const { rows } = await pool.query(
+    "SELECT id FROM politicians WHERE scored_votes IS NULL"
   );
+  if (!rows.length) return;
+  await recomputeScores(rows.map((r) => r.id), { cause: "scores.backfill" });
+  console.log(`[scores] backfilled scored vote counts for ${rows.length} member(s)`);
+}
 
-  let lifetimeCorrect = 0;
-  let lifetimeTotal = 0;
-  let currentCorrect = 0;
-  let currentTotal = 0;
+async function recomputeAllScores(cause = {}) {
+  const { membersUpdated } = await recomputeScores(null, cause);
+  return membersUpdated;
+}
 
-  for (const row of rows) {
-    const afPos = row.afPosition;
-    const vote = row.vote;
+// Everyone with a bill-level or roll-call vote on a bill
+async function memberIdsForBill(billId) {
+  const { rows } = await pool.query(
+    `
+    SELECT member_id FROM member_votes WHERE bill_id = $1
+    UNION
+    SELECT rcv.member_id
+    FROM roll_call_votes rcv
+    JOIN roll_calls rc ON rc.id = rcv.roll_call_id
+    WHERE rc.bill_id = $1
+  `,
+    [billId]
+  );
+  return rows.map((r) => r.member_id);
+}
 
-    if (!afPos || afPos === "Neither") continue;
-    if (vote !== "Approved" && vote !== "Opposed") continue;
+// -----------------------------
+//   LETTER GRADES
+// -----------------------------
 
-    const aligned =
-      (afPos === "America First" && vote === "Approved") ||
-      (afPos === "Anti-America First" && vote === "Opposed");
+// Best first. A score earns the first grade whose minimum it meets; F's
+// minimum is always 0 so every score gets a grade.
+const GRADE_LETTERS = ["A+", "A", "A-", "B+", "B", "B-", "C+", "C", "C-", "D+", "D", "D-", "F"];
+const INCOMPLETE_GRADE = "Incomplete";
+
+// Stored in app_settings as grade_scale; see PUT /api/admin/settings/grades.
+// Scores based on fewer than minScoredVotes scored votes grade as Incomplete.
+const DEFAULT_GRADE_SCALE = {
+  thresholds: {
+    "A+": 97,
+    A: 93,
+    "A-": 90,
+    "B+": 87,
+    B: 83,
+    "B-": 80,
+    "C+": 77,
+    C: 73,
+    "C-": 70,
+    "D+": 67,
+    D: 63,
+    "D-": 60,
+    F: 0,
+  },
+  minScoredVotes: 5,
+};
+let gradeScale = DEFAULT_GRADE_SCALE;
 
-    lifetimeTotal++;
-    if (aligned) lifetimeCorrect++;
+// Returns { scale } or { error }
+function validateGradeScale(input) {
+  const { thresholds, minScoredVotes } = input || {};
+  if (!thresholds || typeof thresholds !== "object") {
+    return { error: "thresholds must be an object of grade -> minimum score" };
+  }
 
-    if (row.isCurrent) {
-      currentTotal++;
-      if (aligned) currentCorrect++;
+  const normalized = {};
+  let previous = Infinity;
+  for (const letter of GRADE_LETTERS) {
+    const raw = thresholds[letter];
+    const min = raw == null || raw === "" ? NaN : Number(raw);
+    if (!Number.isFinite(min) || min < 0 || min > 100) {
+      return { error: `thresholds.${letter} must be a number from 0 to 100` };
     }
+    if (min >= previous) {
+      return { error: `thresholds.${letter} must be below the grade above it` };
+    }
+    normalized[letter] = min;
+    previous = min;
+  }
+  if (normalized.F !== 0) {
+    return { error: "thresholds.F must be 0" };
+  }
+
+  const votes = Number(minScoredVotes);
+  if (!Number.isInteger(votes) || votes < 0) {
+    return { error: "minScoredVotes must be a whole number of 0 or more" };
+  }
+
+  return { scale: { thresholds: normalized, minScoredVotes: votes } };
+}
+
+async function loadGradeScale() {
+  const { rows } = await pool.query(
+    "SELECT value FROM app_settings WHERE key = 'grade_scale'"
+  );
+  if (!rows.length) return;
+  const { scale, error } = validateGradeScale(rows[0].value);
+  if (error) {
+    console.warn("Ignoring stored grade_scale:", error);
+    return;
   }
+  gradeScale = scale;
+}
+
+function gradeForScore(score, scoredVotes) {
+  if (score === null || score === undefined) return INCOMPLETE_GRADE;
+  if ((scoredVotes || 0) < gradeScale.minScoredVotes) return INCOMPLETE_GRADE;
+  const value = Number(score);
+  return GRADE_LETTERS.find((letter) => value >= gradeScale.thresholds[letter]) || "F";
+}
+
+// Adds lifetimeGrade / currentGrade to a member row that has lifetimeScore,
+// currentScore, scoredVotes and currentScoredVotes
+function withGrades(member) {
+  return {
+    ...member,
+    lifetimeGrade: gradeForScore(member.lifetimeScore, member.scoredVotes),
+    currentGrade: gradeForScore(member.currentScore, member.currentScoredVotes),
+  };
+}
+
+// -----------------------------
+//   CURRENT CONGRESS ROLLOVER
+// -----------------------------
+
+const CURRENT_CONGRESS_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// When the current congress changes (Jan 3rd of odd years, or a new
+// CURRENT_CONGRESS setting), re-flag member_votes.is_current_congress and
+// recompute every score. The last applied value lives in app_settings.
+// Manually-entered votes on bills with no congress keep their flag.
+async function applyCurrentCongress() {
+  const current = getCurrentCongress();
+
+  const { rows } = await pool.query(
+    "SELECT value FROM app_settings WHERE key = 'current_congress'"
+  );
+  const applied = rows.length ? Number(rows[0].value) : null;
+  if (applied === current) return false;
 
-  const lifetimeScore =
-    lifetimeTotal > 0 ? (lifetimeCorrect / lifetimeTotal) * 100 : null;
-  const currentScore =
-    currentTotal > 0 ? (currentCorrect / currentTotal) * 100 : null;
+  console.log(`[congress] current congress changed: ${applied} -> ${current}`);
+
+  const flagged = await pool.query(
+    `
+    UPDATE member_votes mv
+    SET is_current_congress = (b.congress = $1)
+    FROM bills b
+    WHERE mv.bill_id = b.id
+      AND b.congress IS NOT NULL
+      AND mv.is_current_congress IS DISTINCT FROM (b.congress = $1)
+  `,
+    [current]
+  );
 
   await pool.query(
     `
-    UPDATE politicians
-    SET lifetime_score = $2, current_score = $3
-    WHERE id = $1
+    INSERT INTO app_settings (key, value, updated_at)
+    VALUES ('current_congress', $1, now())
+    ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = now()
   `,
-    [memberId, lifetimeScore, currentScore]
+    [JSON.stringify(current)]
   );
+
+  const members = await recomputeAllScores({ cause: "congress.current_changed" });
+
+  await recordAudit(pool, null, {
+    action: "congress.current_changed",
+    entityType: "settings",
+    entityId: "current_congress",
+    before: { currentCongress: applied },
+    after: { currentCongress: current, votesReflagged: flagged.rowCount, membersRecomputed: members },
+  });
+
+  return true;
+}
+
+function startCurrentCongressWatcher() {
+  setInterval(() => {
+    applyCurrentCongress().catch((err) =>
+      console.error("[congress] Error applying current congress:", err)
+    );
+  }, CURRENT_CONGRESS_CHECK_INTERVAL_MS);
 }
 
 // -----------------------------
@@ -186,612 +666,1777 @@ async function recomputeScoresForMember(memberId) {
 // -----------------------------
 
 app.use(cors());
-app.use(express.json({ limit: "5mb" })); // allow image data URLs
+// Photos go through PUT /api/members/:id/photo and bulk imports parse their
+// own, larger bodies (see readImportBody)
+const parseJsonBody = express.json({ limit: "1mb" });
+app.use((req, res, next) =>
+  req.path.startsWith("/api/admin/import/") ? next() : parseJsonBody(req, res, next)
+);
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 app.use(express.static(path.join(__dirname, "public")));
 
+// Public scorecard configuration used by the front end
+app.get("/api/config", (req, res) => {
+  res.json({
+    currentCongress: getCurrentCongress(),
+    trackedCongresses: getTrackedCongresses(),
+    missedVotePolicy,
+    gradeScale,
+    photoUpload: {
+      maxBytes: MAX_PHOTO_UPLOAD_BYTES,
+      types: Object.keys(PHOTO_UPLOAD_TYPES),
+    },
+  });
+});
+
 // -----------------------------
 //   ADMIN AUTH
 // -----------------------------
 
-const adminTokens = new Set();
+// Ordered lowest -> highest; a role can do everything the roles before it can.
+//   viewer     – read-only access to admin screens
+//   rater      – can rate bills on the docket
+//   editor     – can edit members, bills and votes
+//   superadmin – can run syncs and manage admin users
+const ADMIN_ROLES = ["viewer", "rater", "editor", "superadmin"];
 
-function requireAdmin(req, res, next) {
-  const auth = req.headers.authorization || "";
-  const token = auth.startsWith("Bearer ") ? auth.slice("Bearer ".length) : null;
+const scrypt = promisify(crypto.scrypt);
 
-  if (token && adminTokens.has(token)) {
-    return next();
-  }
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${key.toString("hex")}`;
+}
 
-  console.warn("[requireAdmin] Unauthorized request", {
-    path: req.path,
-    hasAuthHeader: !!req.headers.authorization,
-    tokenSnippet: token ? token.slice(0, 8) + "..." : null,
-  });
+async function verifyPassword(password, stored) {
+  if (!stored || typeof stored !== "string") return false;
+  const [scheme, salt, hashHex] = stored.split("$");
+  if (scheme !== "scrypt" || !salt || !hashHex) return false;
 
-  return res.status(401).json({ error: "Unauthorized" });
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
 }
 
-app.post("/api/login", (req, res) => {
-  const { password } = req.body || {};
-  if (!password) {
-    return res.status(400).json({ error: "Password required" });
-  }
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: "Invalid password" });
+// Session tokens are only stored hashed, so a DB leak can't be replayed.
+function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function getBearerToken(req) {
+  const auth = req.headers.authorization || "";
+  return auth.startsWith("Bearer ") ? auth.slice("Bearer ".length) : null;
+}
+
+// requireAdmin("editor") -> middleware allowing editor + superadmin.
+// On success req.admin = { id, username, role, sessionId }.
+function requireAdmin(minRole = "viewer") {
+  const minRank = ADMIN_ROLES.indexOf(minRole);
+  if (minRank === -1) {
+    throw new Error(`Unknown admin role: ${minRole}`);
   }
-  const token = crypto.randomUUID();
-  adminTokens.add(token);
-  res.json({ token });
-});
 
-// -----------------------------
-//   DB BOOTSTRAP
-// -----------------------------
+  return async (req, res, next) => {
+    const token = getBearerToken(req);
 
-async function initDb() {
-  // politicians table
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS politicians (
-      id UUID PRIMARY KEY,
-      bioguide_id TEXT UNIQUE,
-      name TEXT,
-      chamber TEXT,
-      state CHAR(2),
-      party TEXT,
-      lifetime_score NUMERIC,
-      current_score NUMERIC,
-      image_data TEXT,
-      trending BOOLEAN DEFAULT FALSE,
-      position INTEGER
-    );
-  `);
+    try {
+      if (token) {
+        const { rows } = await pool.query(
+          `
+          SELECT
+            s.id AS "sessionId",
+            u.id,
+            u.username,
+            u.role
+          FROM admin_sessions s
+          JOIN admin_users u ON u.id = s.user_id
+          WHERE s.token_hash = $1
+            AND s.revoked_at IS NULL
+            AND s.expires_at > now()
+            AND u.disabled = FALSE
+        `,
+          [hashSessionToken(token)]
+        );
 
-  await pool.query(`
-    ALTER TABLE politicians
-    ADD COLUMN IF NOT EXISTS bioguide_id TEXT UNIQUE;
-  `);
+        if (rows.length) {
+          const admin = rows[0];
+          if (ADMIN_ROLES.indexOf(admin.role) < minRank) {
+            console.warn("[requireAdmin] Forbidden", {
+              path: req.path,
+              username: admin.username,
+              role: admin.role,
+              required: minRole,
+            });
+            return res.status(403).json({ error: "Forbidden" });
+          }
+          req.admin = admin;
+          return next();
+        }
+      }
+    } catch (err) {
+      console.error("[requireAdmin] Error checking session:", err);
+      return res.status(500).json({ error: "Server error" });
+    }
 
-  // global bills table
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS bills (
-      id UUID PRIMARY KEY,
-      title TEXT NOT NULL,
-      chamber TEXT,
-      af_position TEXT,
-      bill_date DATE,
-      description TEXT,
-      gov_link TEXT
-    );
-  `);
+    console.warn("[requireAdmin] Unauthorized request", {
+      path: req.path,
+      hasAuthHeader: !!req.headers.authorization,
+      tokenSnippet: token ? token.slice(0, 8) + "..." : null,
+    });
 
-  await pool.query(`
-    ALTER TABLE bills
-    ADD COLUMN IF NOT EXISTS congress INTEGER,
-    ADD COLUMN IF NOT EXISTS bill_type TEXT,
-    ADD COLUMN IF NOT EXISTS bill_number INTEGER,
-    ADD COLUMN IF NOT EXISTS votes_synced BOOLEAN DEFAULT FALSE;
-  `);
+    return res.status(401).json({ error: "Unauthorized" });
+  };
+}
 
-  await pool.query(`
-    DO $$
-    BEGIN
-      IF NOT EXISTS (
-        SELECT 1 FROM pg_indexes
-        WHERE schemaname = 'public'
-          AND indexname = 'bills_congress_type_number_key'
-      ) THEN
-        CREATE UNIQUE INDEX bills_congress_type_number_key
-          ON bills (congress, bill_type, bill_number);
-      END IF;
-    END $$;
-  `);
+app.post("/api/login", async (req, res) => {
+  const { username = ADMIN_USERNAME, password } = req.body || {};
+  if (!password) {
+    return res.status(400).json({ error: "Password required" });
+  }
 
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS member_votes (
-      id UUID PRIMARY KEY,
-      member_id UUID REFERENCES politicians(id) ON DELETE CASCADE,
-      bill_id UUID REFERENCES bills(id) ON DELETE CASCADE,
-      vote TEXT,
-      created_at TIMESTAMPTZ DEFAULT now(),
-      is_current_congress BOOLEAN DEFAULT FALSE,
-      CONSTRAINT member_votes_unique UNIQUE (member_id, bill_id)
+  try {
+    const { rows } = await pool.query(
+      `
+      SELECT id, username, role, password_hash
+      FROM admin_users
+      WHERE lower(username) = lower($1) AND disabled = FALSE
+    `,
+      [String(username).trim()]
     );
-  `);
 
-  await pool.query(`
-    ALTER TABLE member_votes
-    ADD COLUMN IF NOT EXISTS is_current_congress BOOLEAN DEFAULT FALSE;
-  `);
+    const user = rows[0];
+    if (!user || !(await verifyPassword(String(password), user.password_hash))) {
+      return res.status(401).json({ error: "Invalid username or password" });
+    }
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
 
-  // Seed example politicians if empty (so UI has something before you sync)
-  const { rows } = await pool.query("SELECT COUNT(*) AS count FROM politicians");
-  const count = parseInt(rows[0].count, 10);
-  if (count === 0) {
-    const id1 = crypto.randomUUID();
-    const id2 = crypto.randomUUID();
     await pool.query(
       `
-      INSERT INTO politicians
-        (id, name, chamber, state, party, lifetime_score, current_score, image_data, trending, position)
-      VALUES
-        ($1, $2, 'Senate', 'TX', 'R', 92, 95, NULL, TRUE, 1),
-        ($3, $4, 'House', 'FL', 'R', 88, 90, NULL, FALSE, 2)
+      INSERT INTO admin_sessions (id, user_id, token_hash, expires_at)
+      VALUES ($1, $2, $3, $4)
     `,
-      [id1, "Sample Senator", id2, "Sample Representative"]
+      [crypto.randomUUID(), user.id, hashSessionToken(token), expiresAt]
     );
-    console.log("Seeded initial politicians.");
-  }
-}
 
-// -----------------------------
-//   CONGRESS.GOV MEMBERS
-// -----------------------------
+    await pool.query(
+      "UPDATE admin_users SET last_login_at = now() WHERE id = $1",
+      [user.id]
+    );
 
-async function fetchAllCurrentMembersFromCongressGov() {
-  if (!CONGRESS_API_KEY) {
-    throw new Error("CONGRESS_API_KEY is missing");
-  }
+    // Opportunistic cleanup so the sessions table doesn't grow forever
+    await pool.query(
+      "DELETE FROM admin_sessions WHERE expires_at < now() - interval '7 days'"
+    );
 
-  const baseUrl = "https://api.congress.gov/v3/member";
-  const limit = 250;
-  let offset = 0;
-  let all = [];
+    res.json({
+      token,
+      expiresAt,
+      user: { id: user.id, username: user.username, role: user.role },
+    });
+  } catch (err) {
+    console.error("Error logging in:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-  while (true) {
-    const url = new URL(baseUrl);
-    url.searchParams.set("api_key", CONGRESS_API_KEY);
-    url.searchParams.set("format", "json");
-    url.searchParams.set("limit", String(limit));
-    url.searchParams.set("offset", String(offset));
-    url.searchParams.set("currentMember", "true");
-
-    const res = await fetch(url);
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(
-        `Congress.gov member request failed: ${res.status} – ${text.slice(0, 200)}`
-      );
-    }
+app.post("/api/logout", requireAdmin(), async (req, res) => {
+  try {
+    await pool.query(
+      "UPDATE admin_sessions SET revoked_at = now() WHERE id = $1",
+      [req.admin.sessionId]
+    );
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Error logging out:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    const data = await res.json();
-    const members = (data.members || []).map((item) => item.member || item);
-    all = all.concat(members);
+app.get("/api/admin/me", requireAdmin(), (req, res) => {
+  const { id, username, role } = req.admin;
+  res.json({ id, username, role });
+});
 
-    const pagination = data.pagination || {};
-    if (!pagination.next) break;
+// -----------------------------
+//   ADMIN USERS (superadmin)
+// -----------------------------
 
-    offset += limit;
-    if (pagination.count != null && offset >= pagination.count) break;
-  }
+const ADMIN_USER_COLUMNS = `
+  id,
+  username,
+  role,
+  disabled,
+  created_at AS "createdAt",
+  last_login_at AS "lastLoginAt"
+`;
 
-  console.log("Congress sync: fetched", all.length, "raw members.");
-  return all;
-}
+app.get("/api/admin/users", requireAdmin("superadmin"), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${ADMIN_USER_COLUMNS} FROM admin_users ORDER BY username ASC`
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("Error fetching admin users:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-function normalizeCongressMembers(rawMembers) {
-  const normalized = (rawMembers || [])
-    .map((m) => {
-      // bioguide ID is the key that lets us match votes later
-      const bioguideId =
-        m.bioguideId ||
-        (m.identifiers && m.identifiers.bioguideId) ||
-        null;
+app.post("/api/admin/users", requireAdmin("superadmin"), async (req, res) => {
+  const { username, password, role = "viewer" } = req.body || {};
 
-      // Try multiple possible name shapes
-      let name =
-        m.nameKnown || // some Congress.gov payloads
-        m.fullName || // some payloads
-        m.nameOfficial || // some payloads
-        m.name || // sometimes a plain string
-        null;
+  if (!username || !String(username).trim() || !password) {
+    return res.status(400).json({ error: "username and password are required" });
+  }
+  if (String(password).length < 8) {
+    return res.status(400).json({ error: "Password must be at least 8 characters" });
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    return res
+      .status(400)
+      .json({ error: "role must be one of: " + ADMIN_ROLES.join(", ") });
+  }
 
-      // If name is an object like { first, last }
-      if (name && typeof name === "object") {
-        name =
-          [name.first, name.middle, name.last].filter(Boolean).join(" ") ||
-          null;
-      }
+  try {
+    const { rows } = await pool.query(
+      `
+      INSERT INTO admin_users (id, username, password_hash, role)
+      VALUES ($1, $2, $3, $4)
+      RETURNING ${ADMIN_USER_COLUMNS};
+    `,
+      [crypto.randomUUID(), String(username).trim(), await hashPassword(String(password)), role]
+    );
 
-      if (!name) {
-        // last-ditch: first + last fields
-        name = [m.firstName, m.middleName, m.lastName]
-          .filter(Boolean)
-          .join(" ") || null;
-      }
+    await recordAudit(pool, req.admin, {
+      action: "admin_user.create",
+      entityType: "admin_user",
+      entityId: rows[0].id,
+      after: rows[0],
+    });
 
-      // State: we’ve seen it as a full name ("Washington") or codes
-      const rawState =
-        m.stateCode ||
-        (typeof m.state === "string" ? m.state : null) ||
-        (m.state && (m.state.code || m.state.postal)) ||
-        (m.roles && m.roles[0] && (m.roles[0].state || m.roles[0].stateCode)) ||
-        null;
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).json({ error: "Username already exists" });
+    }
+    console.error("Error creating admin user:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-      const state = normalizeState(rawState);
+app.put("/api/admin/users/:id", requireAdmin("superadmin"), async (req, res) => {
+  const { id } = req.params;
+  const { role, password, disabled } = req.body || {};
 
-      // Party: nice to have, but NOT required anymore
-      let party =
-        m.party ||
-        (m.currentParty && m.currentParty.name) ||
-        (m.roles && m.roles[0] && m.roles[0].party) ||
-        null;
+  const setClauses = [];
+  const values = [];
 
-      if (party) {
-        const p = String(party).toLowerCase();
-        if (p.startsWith("republican")) party = "R";
-        else if (p.startsWith("democrat")) party = "D";
-        else if (p.startsWith("independent")) party = "I";
-        else party = String(party).toUpperCase().slice(0, 3);
-      }
+  if (role !== undefined) {
+    if (!ADMIN_ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: "role must be one of: " + ADMIN_ROLES.join(", ") });
+    }
+    values.push(role);
+    setClauses.push(`role = $${values.length}`);
+  }
 
-      // Chamber: nice to have, not required
-      let chamber =
-        m.chamber ||
-        (m.currentRole && m.currentRole.chamber) ||
-        (m.roles && m.roles[0] && m.roles[0].chamber) ||
-        null;
+  if (password !== undefined) {
+    if (String(password).length < 8) {
+      return res.status(400).json({ error: "Password must be at least 8 characters" });
+    }
+    values.push(await hashPassword(String(password)));
+    setClauses.push(`password_hash = $${values.length}`);
+  }
 
-      if (typeof chamber === "string") {
-        const lc = chamber.toLowerCase();
-        if (lc.includes("house")) chamber = "House";
-        else if (lc.includes("senate")) chamber = "Senate";
-      }
+  if (disabled !== undefined) {
+    values.push(!!disabled);
+    setClauses.push(`disabled = $${values.length}`);
+  }
 
-      return {
-        bioguideId,
-        name,
-        state,
-        party,
-        chamber,
-      };
-    })
-    // NOTE: only require bioguideId + name + 2-letter state
-    .filter(
-      (m) =>
-        m.bioguideId &&
-        m.name &&
-        m.state &&
-        m.state.length === 2
-    );
+  if (!setClauses.length) {
+    return res.status(400).json({ error: "No valid fields to update" });
+  }
 
-  console.log(
-    "Congress sync: usable normalized members:",
-    normalized.length,
-    "sample:",
-    normalized[0]
-  );
+  if (id === req.admin.id && (disabled || (role && role !== "superadmin"))) {
+    return res
+      .status(400)
+      .json({ error: "You cannot disable or demote your own account" });
+  }
 
-  return normalized;
-}
+  values.push(id);
 
-// Admin-only endpoint to sync all current House/Senate members into politicians
-app.post("/api/admin/sync-members", requireAdmin, async (req, res) => {
   try {
-    const rawMembers = await fetchAllCurrentMembersFromCongressGov();
-    const members = normalizeCongressMembers(rawMembers);
-
-    const client = await pool.connect();
-    let importedCount = 0;
-    let updatedCount = 0;
+    const beforeRes = await pool.query(
+      `SELECT ${ADMIN_USER_COLUMNS} FROM admin_users WHERE id = $1`,
+      [id]
+    );
 
-    try {
-      await client.query("BEGIN");
+    const { rows } = await pool.query(
+      `
+      UPDATE admin_users
+      SET ${setClauses.join(", ")}
+      WHERE id = $${values.length}
+      RETURNING ${ADMIN_USER_COLUMNS};
+    `,
+      values
+    );
 
-      const posRes = await client.query(
-        "SELECT COALESCE(MAX(position), 0) AS maxpos FROM politicians"
-      );
-      let nextPosition = Number(posRes.rows[0].maxpos) || 0;
+    if (!rows.length) {
+      return res.status(404).json({ error: "Not found" });
+    }
 
-      for (const m of members) {
-        const existing = await client.query(
-          "SELECT id FROM politicians WHERE bioguide_id = $1",
-          [m.bioguideId]
-        );
+    // Password / role / status changes invalidate existing sessions
+    await pool.query(
+      `
+      UPDATE admin_sessions
+      SET revoked_at = now()
+      WHERE user_id = $1 AND revoked_at IS NULL AND id <> $2
+    `,
+      [id, req.admin.sessionId]
+    );
 
-        if (existing.rows.length > 0) {
-          await client.query(
-            `
-            UPDATE politicians
-            SET name = $2,
-                chamber = $3,
-                state = $4,
-                party = $5
-            WHERE bioguide_id = $1
-          `,
-            [m.bioguideId, m.name, m.chamber, m.state, m.party]
-          );
-          updatedCount++;
-        } else {
-          nextPosition += 1;
-          const id = crypto.randomUUID();
-          await client.query(
-            `
-            INSERT INTO politicians
-              (id, bioguide_id, name, chamber, state, party,
-               lifetime_score, current_score, image_data, trending, position)
-            VALUES
-              ($1, $2, $3, $4, $5, $6,
-               NULL, NULL, NULL, FALSE, $7)
-          `,
-            [id, m.bioguideId, m.name, m.chamber, m.state, m.party, nextPosition]
-          );
-          importedCount++;
-        }
-      }
+    await recordAudit(pool, req.admin, {
+      action: password !== undefined ? "admin_user.password_reset" : "admin_user.update",
+      entityType: "admin_user",
+      entityId: id,
+      before: beforeRes.rows[0] || null,
+      after: rows[0],
+    });
 
-      await client.query("COMMIT");
-      console.log(
-        "Congress sync final: raw=",
-        rawMembers.length,
-        "usable=",
-        members.length,
-        "imported=",
-        importedCount,
-        "updated=",
-        updatedCount
-      );
-      res.json({
-        success: true,
-        importedCount,
-        updatedCount,
-        rawCount: rawMembers.length,
-        usableCount: members.length,
-      });
-    } catch (err) {
-      await client.query("ROLLBACK");
-      console.error("Error syncing members:", err);
-      res.status(500).json({ error: "Error syncing members" });
-    } finally {
-      client.release();
-    }
+    res.json(rows[0]);
   } catch (err) {
-    console.error("Error in sync-members:", err);
-    res.status(500).json({ error: "Sync failed" });
+    console.error("Error updating admin user:", err);
+    res.status(500).json({ error: "Server error" });
   }
 });
 
-// -----------------------------
-//   CONGRESS.GOV BILLS (117–118 only)
-// -----------------------------
-
-function normalizeCongressBill(apiBill) {
-  if (!apiBill) return null;
-
-  const congressRaw =
-    apiBill.congress ||
-    apiBill.congressNumber ||
-    apiBill.congressNum ||
-    (apiBill.bill && (apiBill.bill.congress || apiBill.bill.congressNumber)) ||
-    null;
-
-  const congress = congressRaw ? parseInt(congressRaw, 10) : null;
+app.delete("/api/admin/users/:id", requireAdmin("superadmin"), async (req, res) => {
+  const { id } = req.params;
 
-  // We only care about 117–118
-  if (!congress || congress < 117 || congress > 118) {
-    return null;
+  if (id === req.admin.id) {
+    return res.status(400).json({ error: "You cannot delete your own account" });
   }
 
-  const billTypeRaw =
-    apiBill.type ||
-    apiBill.billType ||
-    (apiBill.bill && apiBill.bill.type) ||
-    null;
-
-  const billNumberRaw =
-    apiBill.number ||
-    apiBill.billNumber ||
-    (apiBill.bill && apiBill.bill.number) ||
-    null;
+  try {
+    const { rows } = await pool.query(
+      `DELETE FROM admin_users WHERE id = $1 RETURNING ${ADMIN_USER_COLUMNS};`,
+      [id]
+    );
+    if (!rows.length) {
+      return res.status(404).json({ error: "Not found" });
+    }
 
-  const billNumber = billNumberRaw ? parseInt(billNumberRaw, 10) : null;
-  const billType = billTypeRaw ? String(billTypeRaw).toLowerCase() : null;
+    await recordAudit(pool, req.admin, {
+      action: "admin_user.delete",
+      entityType: "admin_user",
+      entityId: id,
+      before: rows[0],
+    });
 
-  // Hard requirement: congress + type + number
-  if (!congress || !billType || !billNumber) {
-    return null;
+    res.json(rows[0]);
+  } catch (err) {
+    console.error("Error deleting admin user:", err);
+    res.status(500).json({ error: "Server error" });
   }
+});
 
-  // Title – try everything, fall back to generic
-  let title =
-    apiBill.title ||
-    apiBill.titleWithoutNumber ||
-    apiBill.shortTitle ||
-    apiBill.formattedTitle ||
-    (apiBill.bill && (apiBill.bill.title || apiBill.bill.titleWithoutNumber)) ||
-    null;
+// -----------------------------
+//   AUDIT LOG
+// -----------------------------
 
-  if (!title) {
-    title = `${String(billType).toUpperCase()} ${billNumber}`;
+// Record one admin mutation. `db` is the pool or a client inside a
+// transaction; `actor` is req.admin (or null for system work).
+// Outside a transaction, audit failures are logged but never fail the admin
+// action itself; inside one they're rethrown so the caller rolls back.
+async function recordAudit(db, actor, { action, entityType, entityId = null, before = null, after = null }) {
+  try {
+    await db.query(
+      `
+      INSERT INTO audit_events
+        (id, actor_id, actor_username, action, entity_type, entity_id, before, after)
+      VALUES
+        ($1, $2, $3, $4, $5, $6, $7, $8)
+    `,
+      [
+        crypto.randomUUID(),
+        actor ? actor.id : null,
+        actor ? actor.username : "system",
+        action,
+        entityType,
+        entityId != null ? String(entityId) : null,
+        before != null ? JSON.stringify(before) : null,
+        after != null ? JSON.stringify(after) : null,
+      ]
+    );
+  } catch (err) {
+    console.error("[audit] Failed to record", action, entityType, entityId, err);
+    if (db !== pool) throw err;
   }
+}
 
-  // Date (latest action or update)
-  const latestAction =
-    apiBill.latestAction ||
-    apiBill.latestMajorAction ||
-    (Array.isArray(apiBill.actions) && apiBill.actions[0]) ||
-    null;
+// Snapshot loaders so before/after values share one shape. Member photos are
+// reduced to a flag – base64 images don't belong in the audit table.
+async function loadMemberForAudit(db, id) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      id,
+      bioguide_id AS "bioguideId",
+      lis_id AS "lisId",
+      name,
+      chamber,
+      state,
+      party,
+      in_office AS "inOffice",
+      term_start AS "termStart",
+      term_end AS "termEnd",
+      congresses,
+      lifetime_score AS "lifetimeScore",
+      current_score AS "currentScore",
+      participation_rate AS "participationRate",
+      missed_votes AS "missedVotes",
+      EXISTS (SELECT 1 FROM member_photos ph WHERE ph.member_id = politicians.id) AS "hasImage",
+      trending,
+      position
+    FROM politicians
+    WHERE id = $1
+  `,
+    [id]
+  );
+  return rows[0] || null;
+}
 
-  let billDate = null;
-  if (latestAction && latestAction.actionDate) {
-    billDate = new Date(latestAction.actionDate);
-  } else if (latestAction && latestAction.date) {
-    billDate = new Date(latestAction.date);
-  } else if (apiBill.updateDate) {
-    billDate = new Date(apiBill.updateDate);
-  }
+async function loadBillForAudit(db, id) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      id,
+      title,
+      chamber,
+      af_position AS "afPosition",
+      af_rationale AS "afRationale",
+      bill_date AS "billDate",
+      description,
+      gov_link AS "govLink",
+      congress,
+      bill_type AS "billType",
+      bill_number AS "billNumber",
+      weight,
+      is_scored AS "isScored"
+    FROM bills
+    WHERE id = $1
+  `,
+    [id]
+  );
+  return rows[0] || null;
+}
 
-  // Make sure we don't keep an Invalid Date
-  if (billDate && isNaN(billDate.getTime())) {
-    billDate = null;
+async function loadMemberVoteForAudit(db, memberId, billId) {
+  const { rows } = await db.query(
+    `
+    SELECT
+      mv.id,
+      mv.member_id AS "memberId",
+      p.name AS "memberName",
+      mv.bill_id AS "billId",
+      b.title AS "billTitle",
+      mv.vote,
+      mv.is_current_congress AS "isCurrent"
+    FROM member_votes mv
+    JOIN politicians p ON p.id = mv.member_id
+    JOIN bills b ON b.id = mv.bill_id
+    WHERE mv.member_id = $1 AND mv.bill_id = $2
+  `,
+    [memberId, billId]
+  );
+  return rows[0] || null;
+}
+
+// GET /api/admin/audit
+//   ?page=1&pageSize=50
+//   &entityType=member|bill|member_vote|admin_user|sync
+//   &entityId=<uuid>          (member_vote events are keyed by member id)
+//   &actor=<username>
+//   &action=member.update
+//   &from=2024-01-01&to=2024-12-31
+app.get("/api/admin/audit", requireAdmin("viewer"), async (req, res) => {
+  const { page, pageSize, offset } = parsePagination(req.query, 50);
+  const { entityType, entityId, actor, action, from, to } = req.query;
+
+  const where = [];
+  const values = [];
+
+  if (entityType) {
+    values.push(entityType);
+    where.push(`entity_type = $${values.length}`);
+  }
+  if (entityId) {
+    values.push(entityId);
+    where.push(`entity_id = $${values.length}`);
+  }
+  if (actor) {
+    values.push(actor);
+    where.push(`lower(actor_username) = lower($${values.length})`);
+  }
+  if (action) {
+    values.push(action);
+    where.push(`action = $${values.length}`);
+  }
+  if (from) {
+    values.push(from);
+    where.push(`created_at >= $${values.length}::date`);
+  }
+  if (to) {
+    values.push(to);
+    where.push(`created_at < $${values.length}::date + 1`);
   }
 
-  // Link
-  const govLink =
-    apiBill.url ||
-    (latestAction && latestAction.url) ||
-    apiBill.congressdotgov_url ||
-    null;
+  const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
 
-  // Chamber
-  let chamber =
-    apiBill.originChamber ||
-    apiBill.chamber ||
-    (apiBill.bill && apiBill.bill.originChamber) ||
-    null;
+  try {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM audit_events ${whereSql}`,
+      values
+    );
+    const total = parseInt(countResult.rows[0].total, 10) || 0;
 
-  if (!chamber && billType.startsWith("h")) chamber = "House";
-  if (!chamber && billType.startsWith("s")) chamber = "Senate";
+    const result = await pool.query(
+      `
+      SELECT
+        id,
+        actor_id AS "actorId",
+        actor_username AS "actor",
+        action,
+        entity_type AS "entityType",
+        entity_id AS "entityId",
+        before,
+        after,
+        created_at AS "createdAt"
+      FROM audit_events
+      ${whereSql}
+      ORDER BY created_at DESC
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2};
+    `,
+      [...values, pageSize, offset]
+    );
 
-  const normalized = {
-    congress,
-    billType,
-    billNumber,
-    chamber,
-    title,
-    billDate,
-    govLink,
-  };
+    res.json({
+      items: result.rows,
+      page,
+      pageSize,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / pageSize)),
+    });
+  } catch (err) {
+    console.error("Error fetching audit events:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-  return normalized;
-}
+// -----------------------------
+//   SCORING SETTINGS
+// -----------------------------
 
-async function fetchBillsForCongress(congress) {
-  if (!CONGRESS_API_KEY) throw new Error("CONGRESS_API_KEY missing");
+app.get("/api/admin/settings/scoring", requireAdmin("viewer"), (req, res) => {
+  res.json({ missedVotePolicy, missedVotePolicies: MISSED_VOTE_POLICIES });
+});
 
-  const baseUrl = `https://api.congress.gov/v3/bill/${congress}`;
-  const limit = 250;
-  let offset = 0;
-  const maxPages = 100; // up to 25,000 per congress
-  const results = [];
+// Changing the policy rescores every member
+app.put("/api/admin/settings/scoring", requireAdmin("superadmin"), async (req, res) => {
+  const { missedVotePolicy: policy } = req.body || {};
 
-  console.log(`[bill-sync] starting congress ${congress}`);
+  if (!MISSED_VOTE_POLICIES.includes(policy)) {
+    return res
+      .status(400)
+      .json({ error: "missedVotePolicy must be one of: " + MISSED_VOTE_POLICIES.join(", ") });
+  }
 
-  for (let page = 0; page < maxPages; page++) {
-    const url = new URL(baseUrl);
-    url.searchParams.set("api_key", CONGRESS_API_KEY);
-    url.searchParams.set("format", "json");
-    url.searchParams.set("limit", String(limit));
-    url.searchParams.set("offset", String(offset));
+  try {
+    const before = missedVotePolicy;
 
-    const res = await fetch(url);
-    if (!res.ok) {
-      const text = await res.text();
-      console.error(
-        `[bill-sync] congress ${congress} request failed:`,
-        res.status,
-        text.slice(0, 200)
-      );
-      break;
-    }
+    await pool.query(
+      `
+      INSERT INTO app_settings (key, value, updated_at)
+      VALUES ('missed_vote_policy', $1, now())
+      ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = now()
+    `,
+      [JSON.stringify(policy)]
+    );
+    missedVotePolicy = policy;
+
+    const membersRecomputed =
+      policy === before
+        ? 0
+        : await recomputeAllScores({ cause: "settings.scoring_update" });
+
+    await recordAudit(pool, req.admin, {
+      action: "settings.scoring_update",
+      entityType: "settings",
+      entityId: "missed_vote_policy",
+      before: { missedVotePolicy: before },
+      after: { missedVotePolicy: policy, membersRecomputed },
+    });
 
-    const data = await res.json();
-    const apiBills = data.bills || [];
-    if (!apiBills.length) break;
+    res.json({ missedVotePolicy, missedVotePolicies: MISSED_VOTE_POLICIES, membersRecomputed });
+  } catch (err) {
+    console.error("Error updating scoring settings:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    if (page === 0 && apiBills[0]) {
-      console.log(
-        `[bill-sync] congress ${congress} first raw bill sample:`,
-        apiBills[0]
-      );
-    }
+app.get("/api/admin/settings/grades", requireAdmin("viewer"), (req, res) => {
+  res.json({ gradeScale, grades: GRADE_LETTERS, defaultGradeScale: DEFAULT_GRADE_SCALE });
+});
 
-    for (const apiBill of apiBills) {
-      const normalized = normalizeCongressBill(apiBill);
-      if (!normalized) continue;
+// Grades are derived when members are read, so no rescoring is needed
+app.put("/api/admin/settings/grades", requireAdmin("superadmin"), async (req, res) => {
+  const { scale, error } = validateGradeScale(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
 
-      // We don't use a time cutoff anymore, but keep this guard in case:
-      if (
-        normalized.billDate &&
-        normalized.billDate < BILL_IMPORT_CUTOFF
-      ) {
-        // For 117–118 this won't trigger, but it's harmless.
-        continue;
-      }
+  try {
+    const before = gradeScale;
 
-      results.push(normalized);
-    }
+    await pool.query(
+      `
+      INSERT INTO app_settings (key, value, updated_at)
+      VALUES ('grade_scale', $1, now())
+      ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = now()
+    `,
+      [JSON.stringify(scale)]
+    );
+    gradeScale = scale;
+
+    await recordAudit(pool, req.admin, {
+      action: "settings.grades_update",
+      entityType: "settings",
+      entityId: "grade_scale",
+      before,
+      after: scale,
+    });
 
-    offset += limit;
+    res.json({ gradeScale, grades: GRADE_LETTERS, defaultGradeScale: DEFAULT_GRADE_SCALE });
+  } catch (err) {
+    console.error("Error updating grade scale:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    const pagination = data.pagination || {};
-    if (!pagination.next) break;
+// Rebuild every member's score in one pass (e.g. after bulk data fixes)
+app.post("/api/admin/recompute-scores", requireAdmin("superadmin"), async (req, res) => {
+  try {
+    const started = Date.now();
+    const result = await recomputeScores(null, { cause: "scores.recompute" });
+
+    await recordAudit(pool, req.admin, {
+      action: "scores.recompute",
+      entityType: "settings",
+      entityId: "scores",
+      after: result,
+    });
+
+    res.json({ ...result, durationMs: Date.now() - started });
+  } catch (err) {
+    console.error("Error recomputing scores:", err);
+    res.status(500).json({ error: "Server error" });
   }
+});
 
-  console.log(
-    `[bill-sync] congress ${congress} collected: ${results.length} bills`
-  );
-  return results;
-}
+// -----------------------------
+//   DB BOOTSTRAP
+// -----------------------------
 
-async function fetchBillsFrom117to118() {
-  const bills118 = await fetchBillsForCongress(118);
-  const bills117 = await fetchBillsForCongress(117);
+async function initDb() {
+  // politicians table
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS politicians (
+      id UUID PRIMARY KEY,
+      bioguide_id TEXT UNIQUE,
+      name TEXT,
+      chamber TEXT,
+      state CHAR(2),
+      party TEXT,
+      lifetime_score NUMERIC,
+      current_score NUMERIC,
+      image_data TEXT,
+      trending BOOLEAN DEFAULT FALSE,
+      position INTEGER
+    );
+  `);
 
-  const all = bills118.concat(bills117);
-  console.log("Congress bill sync: normalized bills:", all.length);
-  if (all.length) {
-    console.log("Congress bill sync sample:", all[0]);
-  }
-  return all;
-}
+  await pool.query(`
+    ALTER TABLE politicians
+    ADD COLUMN IF NOT EXISTS bioguide_id TEXT UNIQUE;
+  `);
 
-async function syncRecentBillsIntoDb() {
-  const bills = await fetchBillsFrom117to118();
+  await pool.query(`
+    ALTER TABLE politicians
+    ADD COLUMN IF NOT EXISTS participation_rate NUMERIC,
+    ADD COLUMN IF NOT EXISTS missed_votes INTEGER DEFAULT 0;
+  `);
 
-  const client = await pool.connect();
-  let inserted = 0;
-  let updated = 0;
+  // scored votes behind lifetime_score / current_score; NULL until the
+  // member's next recompute
+  await pool.query(`
+    ALTER TABLE politicians
+    ADD COLUMN IF NOT EXISTS scored_votes INTEGER,
+    ADD COLUMN IF NOT EXISTS current_scored_votes INTEGER;
+  `);
 
-  try {
-    await client.query("BEGIN");
+  // in_office = FALSE once a member drops off the Congress.gov current
+  // roster; term dates cover their latest term
+  await pool.query(`
+    ALTER TABLE politicians
+    ADD COLUMN IF NOT EXISTS in_office BOOLEAN NOT NULL DEFAULT TRUE,
+    ADD COLUMN IF NOT EXISTS term_start DATE,
+    ADD COLUMN IF NOT EXISTS term_end DATE;
+  `);
 
-    for (const b of bills) {
-      let billDateSql = null;
-      if (b.billDate instanceof Date && !isNaN(b.billDate.getTime())) {
-        billDateSql = b.billDate.toISOString().slice(0, 10);
-      }
+  // congresses served (tracked ones, from the member sync)
+  await pool.query(`
+    ALTER TABLE politicians
+    ADD COLUMN IF NOT EXISTS congresses INTEGER[] DEFAULT '{}';
+  `);
 
-      const existing = await client.query(
-        `
-        SELECT id
-        FROM bills
-        WHERE congress = $1 AND bill_type = $2 AND bill_number = $3
-      `,
-        [b.congress, b.billType, b.billNumber]
-      );
+  // Senate roll calls identify senators by LIS member id (e.g. "S313")
+  await pool.query(`
+    ALTER TABLE politicians
+    ADD COLUMN IF NOT EXISTS lis_id TEXT UNIQUE;
+  `);
 
-      if (existing.rows.length > 0) {
-        await client.query(
-          `
-          UPDATE bills
-          SET
-            title = COALESCE($4, title),
-            chamber = COALESCE($5, chamber),
-            bill_date = COALESCE($6, bill_date),
-            gov_link = COALESCE($7, gov_link)
-          WHERE congress = $1 AND bill_type = $2 AND bill_number = $3
-        `,
-          [
-            b.congress,
-            b.billType,
-            b.billNumber,
-            b.title,
-            b.chamber,
-            billDateSql,
-            b.govLink,
-          ]
-        );
-        updated++;
-      } else {
-        const id = crypto.randomUUID();
-        await client.query(
-          `
-          INSERT INTO bills
-            (id, title, chamber, af_position,
+  // member photos, one row per rendition (see PHOTO_SIZES). politicians.image_data
+  // is legacy: migrateLegacyMemberPhotos() moves it here on startup.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS member_photos (
+      member_id UUID NOT NULL REFERENCES politicians(id) ON DELETE CASCADE,
+      size TEXT NOT NULL,
+      content_type TEXT NOT NULL,
+      data BYTEA NOT NULL,
+      etag TEXT NOT NULL,
+      source TEXT NOT NULL DEFAULT 'upload',
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (member_id, size)
+    );
+  `);
+
+  // where a photo came from: 'upload' (admin) or 'congress_gov' (portrait import)
+  await pool.query(`
+    ALTER TABLE member_photos
+    ADD COLUMN IF NOT EXISTS source_url TEXT,
+    ADD COLUMN IF NOT EXISTS attribution TEXT;
+  `);
+
+  // official portrait recorded by the member sync (Congress.gov depiction)
+  await pool.query(`
+    ALTER TABLE politicians
+    ADD COLUMN IF NOT EXISTS depiction_url TEXT,
+    ADD COLUMN IF NOT EXISTS depiction_attribution TEXT;
+  `);
+
+  // global bills table
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS bills (
+      id UUID PRIMARY KEY,
+      title TEXT NOT NULL,
+      chamber TEXT,
+      af_position TEXT,
+      bill_date DATE,
+      description TEXT,
+      gov_link TEXT
+    );
+  `);
+
+  await pool.query(`
+    ALTER TABLE bills
+    ADD COLUMN IF NOT EXISTS congress INTEGER,
+    ADD COLUMN IF NOT EXISTS bill_type TEXT,
+    ADD COLUMN IF NOT EXISTS bill_number INTEGER,
+    ADD COLUMN IF NOT EXISTS votes_synced BOOLEAN DEFAULT FALSE;
+  `);
+
+  // Scoring methodology: weight > 1 marks a key vote; is_scored = FALSE
+  // keeps a bill on the record without counting it.
+  await pool.query(`
+    ALTER TABLE bills
+    ADD COLUMN IF NOT EXISTS weight DOUBLE PRECISION NOT NULL DEFAULT 1,
+    ADD COLUMN IF NOT EXISTS is_scored BOOLEAN NOT NULL DEFAULT TRUE;
+  `);
+
+  // Why the bill got its rating; shown on the public bill page
+  await pool.query(`
+    ALTER TABLE bills
+    ADD COLUMN IF NOT EXISTS af_rationale TEXT;
+  `);
+
+  await pool.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (
+        SELECT 1 FROM pg_indexes
+        WHERE schemaname = 'public'
+          AND indexname = 'bills_congress_type_number_key'
+      ) THEN
+        CREATE UNIQUE INDEX bills_congress_type_number_key
+          ON bills (congress, bill_type, bill_number);
+      END IF;
+    END $$;
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS member_votes (
+      id UUID PRIMARY KEY,
+      member_id UUID REFERENCES politicians(id) ON DELETE CASCADE,
+      bill_id UUID REFERENCES bills(id) ON DELETE CASCADE,
+      vote TEXT,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      is_current_congress BOOLEAN DEFAULT FALSE,
+      CONSTRAINT member_votes_unique UNIQUE (member_id, bill_id)
+    );
+  `);
+
+  await pool.query(`
+    ALTER TABLE member_votes
+    ADD COLUMN IF NOT EXISTS is_current_congress BOOLEAN DEFAULT FALSE;
+  `);
+
+  // raw roll-call position (Yea/Nay/Present/Not Voting) behind `vote`;
+  // NULL for manually entered votes
+  await pool.query(`
+    ALTER TABLE member_votes
+    ADD COLUMN IF NOT EXISTS position TEXT;
+  `);
+
+  // every roll call Congress.gov lists for a bill; admins choose which are
+  // scored and (optionally) which direction is AF-aligned
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS roll_calls (
+      id UUID PRIMARY KEY,
+      bill_id UUID REFERENCES bills(id) ON DELETE CASCADE,
+      congress INTEGER,
+      chamber TEXT,
+      session_number INTEGER,
+      roll_number INTEGER,
+      question TEXT,
+      vote_date TIMESTAMPTZ,
+      result TEXT,
+      is_scored BOOLEAN DEFAULT FALSE,
+      af_vote TEXT,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      CONSTRAINT roll_calls_unique
+        UNIQUE (bill_id, congress, chamber, session_number, roll_number)
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS roll_call_votes (
+      id UUID PRIMARY KEY,
+      roll_call_id UUID REFERENCES roll_calls(id) ON DELETE CASCADE,
+      member_id UUID REFERENCES politicians(id) ON DELETE CASCADE,
+      position TEXT,
+      CONSTRAINT roll_call_votes_unique UNIQUE (roll_call_id, member_id)
+    );
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS roll_call_votes_member_idx
+      ON roll_call_votes (member_id);
+  `);
+
+  // admin accounts + sessions
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id UUID PRIMARY KEY,
+      username TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'viewer',
+      disabled BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      last_login_at TIMESTAMPTZ
+    );
+  `);
+
+  await pool.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS admin_users_username_key
+      ON admin_users (lower(username));
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id UUID PRIMARY KEY,
+      user_id UUID NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS audit_events (
+      id UUID PRIMARY KEY,
+      actor_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+      actor_username TEXT,
+      action TEXT NOT NULL,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT,
+      before JSONB,
+      after JSONB,
+      created_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS audit_events_entity_idx
+      ON audit_events (entity_type, entity_id, created_at DESC);
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS audit_events_created_idx
+      ON audit_events (created_at DESC);
+  `);
+
+  // one row per score change; bill_id / roll_call_id point at what caused it
+  // (no FK so history survives the bill being deleted)
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS score_history (
+      id UUID PRIMARY KEY,
+      member_id UUID REFERENCES politicians(id) ON DELETE CASCADE,
+      lifetime_score NUMERIC,
+      current_score NUMERIC,
+      participation_rate NUMERIC,
+      cause TEXT,
+      bill_id UUID,
+      roll_call_id UUID,
+      recorded_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS score_history_member_idx
+      ON score_history (member_id, recorded_at);
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS app_settings (
+      key TEXT PRIMARY KEY,
+      value JSONB,
+      updated_at TIMESTAMPTZ DEFAULT now()
+    );
+  `);
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sync_jobs (
+      id UUID PRIMARY KEY,
+      type TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'queued',
+      params JSONB,
+      progress_current INTEGER DEFAULT 0,
+      progress_total INTEGER,
+      progress_message TEXT,
+      result JSONB,
+      error TEXT,
+      requested_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+      requested_by_username TEXT,
+      created_at TIMESTAMPTZ DEFAULT now(),
+      started_at TIMESTAMPTZ,
+      finished_at TIMESTAMPTZ
+    );
+  `);
+
+  await pool.query(`
+    CREATE INDEX IF NOT EXISTS sync_jobs_status_idx
+      ON sync_jobs (status, created_at);
+  `);
+
+  // Bootstrap the first superadmin from ADMIN_USERNAME / ADMIN_PASSWORD
+  const adminCount = await pool.query("SELECT COUNT(*) AS count FROM admin_users");
+  if (parseInt(adminCount.rows[0].count, 10) === 0) {
+    if (ADMIN_PASSWORD) {
+      await pool.query(
+        `
+        INSERT INTO admin_users (id, username, password_hash, role)
+        VALUES ($1, $2, $3, 'superadmin')
+      `,
+        [crypto.randomUUID(), ADMIN_USERNAME, await hashPassword(ADMIN_PASSWORD)]
+      );
+      console.log(`Created initial superadmin "${ADMIN_USERNAME}".`);
+    } else {
+      console.error(
+        "No admin users exist and ADMIN_PASSWORD is not set. Set it to bootstrap a superadmin."
+      );
+    }
+  }
+
+  // Seed example politicians if empty (so UI has something before you sync)
+  const { rows } = await pool.query("SELECT COUNT(*) AS count FROM politicians");
+  const count = parseInt(rows[0].count, 10);
+  if (count === 0) {
+    const id1 = crypto.randomUUID();
+    const id2 = crypto.randomUUID();
+    await pool.query(
+      `
+      INSERT INTO politicians
+        (id, name, chamber, state, party, lifetime_score, current_score, image_data, trending, position)
+      VALUES
+        ($1, $2, 'Senate', 'TX', 'R', 92, 95, NULL, TRUE, 1),
+        ($3, $4, 'House', 'FL', 'R', 88, 90, NULL, FALSE, 2)
+    `,
+      [id1, "Sample Senator", id2, "Sample Representative"]
+    );
+    console.log("Seeded initial politicians.");
+  }
+}
+
+// -----------------------------
+//   CONGRESS.GOV MEMBERS
+// -----------------------------
+
+// Page through a Congress.gov member list, e.g. "/member" or
+// "/member/congress/117".
+async function fetchMemberListFromCongressGov(pathname, params = {}) {
+  const limit = 250;
+  let offset = 0;
+  let all = [];
+
+  while (true) {
+    const data = await congressApi.get(pathname, {
+      ...params,
+      limit,
+      offset,
+    });
+    const members = (data.members || []).map((item) => item.member || item);
+    all = all.concat(members);
+
+    const pagination = data.pagination || {};
+    if (!pagination.next) break;
+
+    offset += limit;
+    if (pagination.count != null && offset >= pagination.count) break;
+  }
+
+  console.log("Congress sync: fetched", all.length, "raw members from", pathname);
+  return all;
+}
+
+async function fetchAllCurrentMembersFromCongressGov() {
+  return fetchMemberListFromCongressGov("/member", { currentMember: "true" });
+}
+
+// Everyone who served in a congress, including members who have since left
+async function fetchMembersForCongress(congress) {
+  return fetchMemberListFromCongressGov(`/member/congress/${congress}`, {
+    currentMember: "false",
+  });
+}
+
+// Full member record (GET /member/:bioguideId), or null when unknown
+async function fetchMemberDetailFromCongressGov(bioguideId) {
+  try {
+    const data = await congressApi.get(`/member/${encodeURIComponent(bioguideId)}`);
+    return data.member || null;
+  } catch (err) {
+    if (err instanceof CongressApiError && err.status === 404) return null;
+    throw err;
+  }
+}
+
+function normalizeCongressMembers(rawMembers) {
+  const normalized = (rawMembers || [])
+    .map((m) => {
+      // bioguide ID is the key that lets us match votes later
+      const bioguideId =
+        m.bioguideId ||
+        (m.identifiers && m.identifiers.bioguideId) ||
+        null;
+
+      // Try multiple possible name shapes
+      let name =
+        m.directOrderName || // member detail payloads
+        m.nameKnown || // some Congress.gov payloads
+        m.fullName || // some payloads
+        m.nameOfficial || // some payloads
+        m.name || // sometimes a plain string
+        null;
+
+      // If name is an object like { first, last }
+      if (name && typeof name === "object") {
+        name =
+          [name.first, name.middle, name.last].filter(Boolean).join(" ") ||
+          null;
+      }
+
+      if (!name) {
+        // last-ditch: first + last fields
+        name = [m.firstName, m.middleName, m.lastName]
+          .filter(Boolean)
+          .join(" ") || null;
+      }
+
+      // State: we’ve seen it as a full name ("Washington") or codes
+      const rawState =
+        m.stateCode ||
+        (typeof m.state === "string" ? m.state : null) ||
+        (m.state && (m.state.code || m.state.postal)) ||
+        (m.roles && m.roles[0] && (m.roles[0].state || m.roles[0].stateCode)) ||
+        null;
+
+      const state = normalizeState(rawState);
+
+      // Party: nice to have, but NOT required anymore
+      const partyHistory = Array.isArray(m.partyHistory) ? m.partyHistory : [];
+      let party =
+        m.party ||
+        m.partyName ||
+        (m.currentParty && m.currentParty.name) ||
+        (m.roles && m.roles[0] && m.roles[0].party) ||
+        (partyHistory.length && partyHistory[partyHistory.length - 1].partyName) ||
+        null;
+
+      if (party) {
+        const p = String(party).toLowerCase();
+        if (p.startsWith("republican")) party = "R";
+        else if (p.startsWith("democrat")) party = "D";
+        else if (p.startsWith("independent")) party = "I";
+        else party = String(party).toUpperCase().slice(0, 3);
+      }
+
+      // Terms come as { item: [...] } in lists and a plain array in member
+      // detail (which also carries each term's congress number).
+      const rawTerms = (m.terms && (m.terms.item || m.terms)) || [];
+      const terms = Array.isArray(rawTerms) ? rawTerms : [];
+
+      // Latest term; Congress.gov only gives years, and terms begin Jan 3rd
+      const latestTerm = terms
+        .filter((t) => t && t.startYear)
+        .sort((a, b) => Number(b.startYear) - Number(a.startYear))[0];
+      const termStart = latestTerm ? `${latestTerm.startYear}-01-03` : null;
+      const termEnd =
+        latestTerm && latestTerm.endYear ? `${latestTerm.endYear}-01-03` : null;
+
+      const congresses = [
+        ...new Set(terms.map((t) => parseInt(t.congress, 10)).filter(Boolean)),
+      ];
+
+      // Chamber: nice to have, not required
+      let chamber =
+        m.chamber ||
+        (m.currentRole && m.currentRole.chamber) ||
+        (m.roles && m.roles[0] && m.roles[0].chamber) ||
+        (latestTerm && latestTerm.chamber) ||
+        null;
+
+      if (typeof chamber === "string") {
+        const lc = chamber.toLowerCase();
+        if (lc.includes("house")) chamber = "House";
+        else if (lc.includes("senate")) chamber = "Senate";
+      }
+
+      return {
+        bioguideId,
+        name,
+        state,
+        party,
+        chamber,
+        termStart,
+        termEnd,
+        congresses,
+        inOffice: typeof m.currentMember === "boolean" ? m.currentMember : null,
+        depictionUrl: (m.depiction && m.depiction.imageUrl) || null,
+        depictionAttribution: (m.depiction && m.depiction.attribution) || null,
+      };
+    })
+    // NOTE: only require bioguideId + name + 2-letter state
+    .filter(
+      (m) =>
+        m.bioguideId &&
+        m.name &&
+        m.state &&
+        m.state.length === 2
+    );
+
+  console.log(
+    "Congress sync: usable normalized members:",
+    normalized.length,
+    "sample:",
+    normalized[0]
+  );
+
+  return normalized;
+}
+
+// { bioguide, lis } pairs for everyone with a LIS id in a
+// congress-legislators JSON file
+async function fetchLisCrosswalk(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 60000);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res.ok) {
+      throw new Error(`Crosswalk request failed: ${res.status} (${url})`);
+    }
+    const legislators = await res.json();
+    return (legislators || [])
+      .map((l) => ({ bioguide: l.id && l.id.bioguide, lis: l.id && l.id.lis }))
+      .filter((x) => x.bioguide && x.lis);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Fill politicians.lis_id from the crosswalk. The (large) historical file is
+// only fetched when senators are still missing a LIS id after the current one.
+// Returns the number of politicians updated.
+async function syncLisIdsIntoDb() {
+  const applyPairs = async (pairs) => {
+    if (!pairs.length) return 0;
+    const result = await pool.query(
+      `
+      UPDATE politicians p
+      SET lis_id = x.lis
+      FROM unnest($1::text[], $2::text[]) AS x(bioguide, lis)
+      WHERE p.bioguide_id = x.bioguide
+        AND p.lis_id IS DISTINCT FROM x.lis
+        AND NOT EXISTS (
+          SELECT 1 FROM politicians other
+          WHERE other.lis_id = x.lis AND other.id <> p.id
+        )
+    `,
+      [pairs.map((x) => x.bioguide), pairs.map((x) => x.lis)]
+    );
+    return result.rowCount;
+  };
+
+  let updated = await applyPairs(await fetchLisCrosswalk(LEGISLATORS_CURRENT_URL));
+
+  const missing = await pool.query(
+    `
+    SELECT COUNT(*) AS count
+    FROM politicians
+    WHERE chamber = 'Senate' AND lis_id IS NULL AND bioguide_id IS NOT NULL
+  `
+  );
+  if (parseInt(missing.rows[0].count, 10) > 0) {
+    updated += await applyPairs(await fetchLisCrosswalk(LEGISLATORS_HISTORICAL_URL));
+  }
+
+  return updated;
+}
+
+// A current roster smaller than this is treated as a bad API response and
+// nobody is marked as having left office.
+const MIN_ROSTER_SIZE_FOR_DEPARTURES = 400;
+
+// Insert or update one normalized member by bioguide id; congresses served
+// are merged into what's stored. inOffice = null keeps the stored flag (new
+// rows default to former). Returns true when the row is new.
+async function upsertMember(db, m, inOffice) {
+  const { rows } = await db.query(
+    `
+    INSERT INTO politicians
+      (id, bioguide_id, name, chamber, state, party,
+       lifetime_score, current_score, image_data, trending, position,
+       in_office, term_start, term_end, congresses,
+       depiction_url, depiction_attribution)
+    VALUES
+      ($1, $2, $3, $4, $5, $6,
+       NULL, NULL, NULL, FALSE,
+       (SELECT COALESCE(MAX(position), 0) + 1 FROM politicians),
+       COALESCE($7::boolean, FALSE), $8, $9, $10::int[],
+       $11, $12)
+    ON CONFLICT (bioguide_id) DO UPDATE SET
+      name = EXCLUDED.name,
+      chamber = COALESCE(EXCLUDED.chamber, politicians.chamber),
+      state = EXCLUDED.state,
+      party = COALESCE(EXCLUDED.party, politicians.party),
+      in_office = COALESCE($7::boolean, politicians.in_office),
+      term_start = COALESCE(EXCLUDED.term_start, politicians.term_start),
+      term_end = CASE
+        WHEN COALESCE($7::boolean, politicians.in_office) THEN EXCLUDED.term_end
+        ELSE COALESCE(EXCLUDED.term_end, politicians.term_end)
+      END,
+      congresses = ARRAY(
+        SELECT DISTINCT c
+        FROM unnest(COALESCE(politicians.congresses, '{}') || EXCLUDED.congresses) AS c
+        ORDER BY c
+      ),
+      depiction_url = COALESCE(EXCLUDED.depiction_url, politicians.depiction_url),
+      depiction_attribution = CASE
+        WHEN EXCLUDED.depiction_url IS NULL THEN politicians.depiction_attribution
+        ELSE EXCLUDED.depiction_attribution
+      END
+    RETURNING (xmax = 0) AS inserted
+  `,
+    [
+      crypto.randomUUID(),
+      m.bioguideId,
+      m.name,
+      m.chamber,
+      m.state,
+      m.party,
+      inOffice,
+      m.termStart,
+      m.termEnd,
+      m.congresses || [],
+      m.depictionUrl || null,
+      m.depictionAttribution || null,
+    ]
+  );
+  return rows[0].inserted;
+}
+
+// Sync every member who served in a tracked congress into politicians, with
+// the congresses they served in. Members on the current roster are in
+// office; everyone else (including previously synced members who dropped
+// off the roster) is marked as former.
+// Runs as a background job (see JOBS); onProgress(current, total, message).
+async function syncMembersIntoDb(onProgress = async () => {}) {
+  const tracked = getTrackedCongresses();
+
+  await onProgress(0, tracked.length + 1, "Fetching current members from Congress.gov");
+  const rawMembers = await fetchAllCurrentMembersFromCongressGov();
+
+  // bioguide id -> normalized member (newest data wins) with congresses
+  const byBioguide = new Map();
+  const addMembers = (normalized, congress) => {
+    for (const m of normalized) {
+      const prev = byBioguide.get(m.bioguideId);
+      const congresses = new Set([...(prev ? prev.congresses : []), ...m.congresses]);
+      if (congress) congresses.add(congress);
+      byBioguide.set(m.bioguideId, { ...(prev || m), congresses: [...congresses] });
+    }
+  };
+
+  addMembers(normalizeCongressMembers(rawMembers), null);
+
+  let rawHistoricalCount = 0;
+  for (const [i, congress] of [...tracked].sort((a, b) => b - a).entries()) {
+    await onProgress(i + 1, tracked.length + 1, `Fetching members of Congress ${congress}`);
+    const raw = await fetchMembersForCongress(congress);
+    rawHistoricalCount += raw.length;
+    addMembers(normalizeCongressMembers(raw), congress);
+  }
+
+  const members = [...byBioguide.values()];
+
+  // Compare against the raw roster so members we couldn't normalize aren't
+  // mistaken for departures.
+  const rosterIds = new Set(
+    rawMembers
+      .map((m) => m.bioguideId || (m.identifiers && m.identifiers.bioguideId))
+      .filter(Boolean)
+  );
+  const rosterTrusted = rosterIds.size >= MIN_ROSTER_SIZE_FOR_DEPARTURES;
+  if (!rosterTrusted) {
+    console.warn(
+      `Congress sync: roster has only ${rosterIds.size} members; not changing anyone's in-office status`
+    );
+  }
+
+  const client = await pool.connect();
+  let importedCount = 0;
+  let updatedCount = 0;
+  let departedCount = 0;
+
+  try {
+    await client.query("BEGIN");
+
+    if (rosterTrusted) {
+      const departed = await client.query(
+        `
+        UPDATE politicians
+        SET in_office = FALSE,
+            term_end = COALESCE(term_end, CURRENT_DATE)
+        WHERE in_office
+          AND bioguide_id IS NOT NULL
+          AND NOT (bioguide_id = ANY($1::text[]))
+      `,
+        [[...rosterIds]]
+      );
+      departedCount = departed.rowCount;
+    }
+
+    for (const [i, m] of members.entries()) {
+      const inOffice = rosterTrusted ? rosterIds.has(m.bioguideId) : m.inOffice;
+      if (await upsertMember(client, m, inOffice)) {
+        importedCount++;
+      } else {
+        updatedCount++;
+      }
+
+      if ((i + 1) % 50 === 0) {
+        await onProgress(i + 1, members.length, "Saving members");
+      }
+    }
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Error syncing members:", err);
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  // Best-effort: a crosswalk outage shouldn't fail the member sync
+  let lisIdsUpdated = 0;
+  try {
+    await onProgress(members.length, members.length, "Updating Senate LIS ids");
+    lisIdsUpdated = await syncLisIdsIntoDb();
+  } catch (err) {
+    console.error("Congress sync: LIS crosswalk failed:", err.message);
+  }
+
+  // New or changed official portraits are downloaded by a follow-up job
+  let portraitJobQueued = false;
+  try {
+    if ((await countPortraitCandidates(false)) > 0) {
+      await enqueueJob("portraits", { overwriteUploads: false }, null);
+      portraitJobQueued = true;
+    }
+  } catch (err) {
+    console.error("Congress sync: could not queue portrait import:", err.message);
+  }
+
+  await onProgress(members.length, members.length, "Done");
+
+  console.log(
+    "Congress sync final: raw current=",
+    rawMembers.length,
+    "raw historical=",
+    rawHistoricalCount,
+    "usable=",
+    members.length,
+    "imported=",
+    importedCount,
+    "updated=",
+    updatedCount,
+    "departed=",
+    departedCount,
+    "lis ids=",
+    lisIdsUpdated
+  );
+
+  return {
+    importedCount,
+    updatedCount,
+    departedCount,
+    lisIdsUpdated,
+    portraitJobQueued,
+    rawCount: rawMembers.length,
+    rawHistoricalCount,
+    usableCount: members.length,
+  };
+}
+
+// Max unknown voters looked up per bill during vote sync
+const MAX_ON_DEMAND_MEMBER_IMPORTS = 60;
+
+// Look up bioguide IDs we've never seen on Congress.gov and import them.
+// Returns the ids that were imported; unknown or unusable ids are skipped and
+// added to failedLookups, which callers share across a run so the same id
+// isn't fetched again for every bill.
+async function importMembersByBioguideIds(bioguideIds, failedLookups = new Set()) {
+  const imported = [];
+  const toLookUp = bioguideIds.filter((id) => !failedLookups.has(id));
+
+  for (const bioguideId of toLookUp.slice(0, MAX_ON_DEMAND_MEMBER_IMPORTS)) {
+    try {
+      const detail = await fetchMemberDetailFromCongressGov(bioguideId);
+      const [m] = detail ? normalizeCongressMembers([detail]) : [];
+      if (!m) {
+        failedLookups.add(bioguideId);
+        continue;
+      }
+
+      await upsertMember(pool, m, m.inOffice);
+      imported.push(bioguideId);
+      console.log("[member-import] imported", bioguideId, m.name);
+    } catch (err) {
+      failedLookups.add(bioguideId);
+      console.error("[member-import] failed for", bioguideId, err.message);
+    }
+  }
+
+  return imported;
+}
+
+// members job with params.bioguideIds: import voters a bill's vote sync
+// couldn't match, then re-sync params.billIds so their positions are stored.
+async function importUnmatchedVoters(params, onProgress) {
+  const bioguideIds = params.bioguideIds.map(String);
+  const billIds = Array.isArray(params.billIds) ? params.billIds : [];
+  const failedLookups = new Set();
+  const total = billIds.length + 1;
+
+  await onProgress(0, total, `Looking up ${bioguideIds.length} voter(s)`);
+  const imported = await importMembersByBioguideIds(bioguideIds, failedLookups);
+
+  let billsSynced = 0;
+  if (imported.length) {
+    for (const [i, billId] of billIds.entries()) {
+      try {
+        await syncVotesForBill(billId, { failedMemberLookups: failedLookups });
+        billsSynced++;
+      } catch (err) {
+        console.error("[member-import] vote re-sync failed for bill", billId, err);
+      }
+      await onProgress(i + 1, total, `Re-synced votes for ${i + 1} / ${billIds.length} bills`);
+    }
+  }
+
+  return {
+    requestedCount: bioguideIds.length,
+    importedCount: imported.length,
+    billsSynced,
+    unmatchedBioguideIds: bioguideIds.filter((id) => !imported.includes(id)).sort(),
+  };
+}
+
+// Queue the members job above for a bill's unmatched voters. An on-demand
+// import that is still queued takes the new ids and bill instead; any other
+// members job already queued or running is returned as is.
+async function enqueueVoterImport(bioguideIds, billId, actor) {
+  const { job, alreadyQueued } = await enqueueJob(
+    "members",
+    { bioguideIds, billIds: [billId] },
+    actor
+  );
+  const params = job.params || {};
+  if (alreadyQueued && job.status === "queued" && Array.isArray(params.bioguideIds)) {
+    await pool.query("UPDATE sync_jobs SET params = $2 WHERE id = $1 AND status = 'queued'", [
+      job.id,
+      JSON.stringify({
+        bioguideIds: [...new Set([...params.bioguideIds, ...bioguideIds])],
+        billIds: [...new Set([...(params.billIds || []), billId])],
+      }),
+    ]);
+  }
+  return job;
+}
+
+// -----------------------------
+//   CONGRESS.GOV BILLS (tracked congresses only)
+// -----------------------------
+
+function normalizeCongressBill(apiBill) {
+  if (!apiBill) return null;
+
+  const congressRaw =
+    apiBill.congress ||
+    apiBill.congressNumber ||
+    apiBill.congressNum ||
+    (apiBill.bill && (apiBill.bill.congress || apiBill.bill.congressNumber)) ||
+    null;
+
+  const congress = congressRaw ? parseInt(congressRaw, 10) : null;
+
+  // We only care about the tracked congresses
+  if (!congress || !getTrackedCongresses().includes(congress)) {
+    return null;
+  }
+
+  const billTypeRaw =
+    apiBill.type ||
+    apiBill.billType ||
+    (apiBill.bill && apiBill.bill.type) ||
+    null;
+
+  const billNumberRaw =
+    apiBill.number ||
+    apiBill.billNumber ||
+    (apiBill.bill && apiBill.bill.number) ||
+    null;
+
+  const billNumber = billNumberRaw ? parseInt(billNumberRaw, 10) : null;
+  const billType = billTypeRaw ? String(billTypeRaw).toLowerCase() : null;
+
+  // Hard requirement: congress + type + number
+  if (!congress || !billType || !billNumber) {
+    return null;
+  }
+
+  // Title – try everything, fall back to generic
+  let title =
+    apiBill.title ||
+    apiBill.titleWithoutNumber ||
+    apiBill.shortTitle ||
+    apiBill.formattedTitle ||
+    (apiBill.bill && (apiBill.bill.title || apiBill.bill.titleWithoutNumber)) ||
+    null;
+
+  if (!title) {
+    title = `${String(billType).toUpperCase()} ${billNumber}`;
+  }
+
+  // Date (latest action or update)
+  const latestAction =
+    apiBill.latestAction ||
+    apiBill.latestMajorAction ||
+    (Array.isArray(apiBill.actions) && apiBill.actions[0]) ||
+    null;
+
+  let billDate = null;
+  if (latestAction && latestAction.actionDate) {
+    billDate = new Date(latestAction.actionDate);
+  } else if (latestAction && latestAction.date) {
+    billDate = new Date(latestAction.date);
+  } else if (apiBill.updateDate) {
+    billDate = new Date(apiBill.updateDate);
+  }
+
+  // Make sure we don't keep an Invalid Date
+  if (billDate && isNaN(billDate.getTime())) {
+    billDate = null;
+  }
+
+  // Link
+  const govLink =
+    apiBill.url ||
+    (latestAction && latestAction.url) ||
+    apiBill.congressdotgov_url ||
+    null;
+
+  // Chamber
+  let chamber =
+    apiBill.originChamber ||
+    apiBill.chamber ||
+    (apiBill.bill && apiBill.bill.originChamber) ||
+    null;
+
+  if (!chamber && billType.startsWith("h")) chamber = "House";
+  if (!chamber && billType.startsWith("s")) chamber = "Senate";
+
+  const normalized = {
+    congress,
+    billType,
+    billNumber,
+    chamber,
+    title,
+    billDate,
+    govLink,
+  };
+
+  return normalized;
+}
+
+// Crawl one congress page by page. Each page's normalized bills are handed
+// to onPage(bills, { congress, offset, count }) so callers can persist and
+// report progress as they go instead of holding 25k bills in memory.
+async function fetchBillsForCongress(congress, onPage) {
+  const limit = 250;
+  let offset = 0;
+  const maxPages = 100; // up to 25,000 per congress
+  let collected = 0;
+
+  console.log(`[bill-sync] starting congress ${congress}`);
+
+  for (let page = 0; page < maxPages; page++) {
+    // The client retries transient failures; anything it throws fails the
+    // job rather than silently truncating the crawl.
+    const data = await congressApi.get(`/bill/${congress}`, { limit, offset });
+    const apiBills = data.bills || [];
+    if (!apiBills.length) break;
+
+    if (page === 0 && apiBills[0]) {
+      console.log(
+        `[bill-sync] congress ${congress} first raw bill sample:`,
+        apiBills[0]
+      );
+    }
+
+    const pagination = data.pagination || {};
+    const results = [];
+
+    for (const apiBill of apiBills) {
+      const normalized = normalizeCongressBill(apiBill);
+      if (!normalized) continue;
+
+      // We don't use a time cutoff anymore, but keep this guard in case:
+      if (
+        normalized.billDate &&
+        normalized.billDate < BILL_IMPORT_CUTOFF
+      ) {
+        // With the default cutoff this never triggers, but it's harmless.
+        continue;
+      }
+
+      results.push(normalized);
+    }
+
+    collected += results.length;
+    await onPage(results, {
+      congress,
+      offset: offset + apiBills.length,
+      count: pagination.count != null ? Number(pagination.count) : null,
+    });
+
+    offset += limit;
+
+    if (!pagination.next) break;
+  }
+
+  console.log(`[bill-sync] congress ${congress} collected: ${collected} bills`);
+  return collected;
+}
+
+// Upsert one page of normalized bills in its own transaction.
+async function upsertBills(bills) {
+  const client = await pool.connect();
+  let inserted = 0;
+  let updated = 0;
+
+  try {
+    await client.query("BEGIN");
+
+    for (const b of bills) {
+      let billDateSql = null;
+      if (b.billDate instanceof Date && !isNaN(b.billDate.getTime())) {
+        billDateSql = b.billDate.toISOString().slice(0, 10);
+      }
+
+      const existing = await client.query(
+        `
+        SELECT id
+        FROM bills
+        WHERE congress = $1 AND bill_type = $2 AND bill_number = $3
+      `,
+        [b.congress, b.billType, b.billNumber]
+      );
+
+      if (existing.rows.length > 0) {
+        await client.query(
+          `
+          UPDATE bills
+          SET
+            title = COALESCE($4, title),
+            chamber = COALESCE($5, chamber),
+            bill_date = COALESCE($6, bill_date),
+            gov_link = COALESCE($7, gov_link)
+          WHERE congress = $1 AND bill_type = $2 AND bill_number = $3
+        `,
+          [
+            b.congress,
+            b.billType,
+            b.billNumber,
+            b.title,
+            b.chamber,
+            billDateSql,
+            b.govLink,
+          ]
+        );
+        updated++;
+      } else {
+        const id = crypto.randomUUID();
+        await client.query(
+          `
+          INSERT INTO bills
+            (id, title, chamber, af_position,
              bill_date, description, gov_link,
              congress, bill_type, bill_number, votes_synced)
           VALUES
@@ -810,919 +2455,3897 @@ async function syncRecentBillsIntoDb() {
             b.billNumber,
           ]
         );
-        inserted++;
+        inserted++;
+      }
+    }
+
+    await client.query("COMMIT");
+    return { inserted, updated };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    console.error("Error in upsertBills:", err);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Sync bills for every tracked congress, newest first. Runs as a background
+// job; each page is committed as it arrives so progress survives a failure.
+async function syncRecentBillsIntoDb(onProgress = async () => {}) {
+  const congresses = getTrackedCongresses().slice().reverse();
+  // Progress is measured in raw Congress.gov rows (pagination.count)
+  const seenByCongress = {};
+  const expectedByCongress = {};
+  let inserted = 0;
+  let updated = 0;
+  let total = 0;
+
+  for (const congress of congresses) {
+    await fetchBillsForCongress(congress, async (bills, page) => {
+      const result = await upsertBills(bills);
+      inserted += result.inserted;
+      updated += result.updated;
+      total += bills.length;
+
+      seenByCongress[congress] = page.offset;
+      if (page.count != null) expectedByCongress[congress] = page.count;
+      const sum = (obj) => Object.values(obj).reduce((a, b) => a + b, 0);
+
+      await onProgress(
+        sum(seenByCongress),
+        sum(expectedByCongress) || null,
+        `Congress ${congress}: ${page.offset}${page.count != null ? ` / ${page.count}` : ""} bills`
+      );
+    });
+  }
+
+  console.log(
+    "Congress bill sync complete: total=",
+    total,
+    "inserted=",
+    inserted,
+    "updated=",
+    updated
+  );
+  return { inserted, updated, total };
+}
+
+// -----------------------------
+//   CONGRESS.GOV VOTES
+// -----------------------------
+
+function normalizeVotePositionToOurVote(positionRaw) {
+  if (!positionRaw) return "Abstained";
+  const p = String(positionRaw).toLowerCase();
+  if (p.startsWith("yea") || p === "yes" || p === "aye") return "Approved";
+  if (p.startsWith("nay") || p === "no") return "Opposed";
+  return "Abstained";
+}
+
+// "Yea"/"Aye"/"Yes" -> "Yea", "No" -> "Nay", etc. Unknown values pass through.
+function normalizeRollCallPosition(positionRaw) {
+  if (!positionRaw) return "Not Voting";
+  const p = String(positionRaw).trim().toLowerCase();
+  if (p.startsWith("yea") || p === "yes" || p === "aye") return "Yea";
+  if (p.startsWith("nay") || p === "no") return "Nay";
+  if (p === "present") return "Present";
+  if (p.startsWith("not voting") || p === "nv") return "Not Voting";
+  return String(positionRaw).trim();
+}
+
+// Final-passage style questions; used to pick which roll calls count by default
+const PASSAGE_QUESTION_RE =
+  /passage|pass the bill|agreeing to the (resolution|conference report)|concur|override/i;
+
+// Fetch every roll call Congress.gov lists for a bill, with member positions.
+async function fetchRollCallsForBill(billRow) {
+  if (!billRow.congress || !billRow.bill_type || !billRow.bill_number) {
+    console.warn("Bill missing congress.gov identity, cannot fetch votes:", billRow);
+    return [];
+  }
+
+  const typeLower = String(billRow.bill_type).toLowerCase();
+  const votesPath = `/bill/${billRow.congress}/${typeLower}/${billRow.bill_number}/votes`;
+
+  console.log("[votes] list", votesPath);
+
+  let votesData;
+  try {
+    votesData = await congressApi.get(votesPath);
+  } catch (err) {
+    // 404 just means Congress.gov has no roll calls for this bill
+    if (err instanceof CongressApiError && err.status === 404) return [];
+    throw err;
+  }
+
+  const votes = votesData.votes || [];
+  const rollCalls = [];
+
+  for (const summary of votes) {
+    const voteChamber = summary.chamber || billRow.chamber || "House";
+    const rollNumber = parseInt(summary.rollNumber || summary.roll, 10) || null;
+    const sessionNumber = parseInt(summary.sessionNumber || summary.session, 10) || null;
+
+    if (!rollNumber || !sessionNumber) {
+      console.warn("Vote summary missing roll/session:", summary);
+      continue;
+    }
+
+    const isHouse = String(voteChamber).toLowerCase().startsWith("house");
+    const votePrefix = isHouse ? "house-vote" : "senate-vote";
+
+    const detail = await congressApi.get(
+      `/${votePrefix}/${billRow.congress}/${sessionNumber}/${rollNumber}`
+    );
+    const detailVote = detail.votes && !Array.isArray(detail.votes) ? detail.votes : detail;
+
+    const positions =
+      detailVote.votePositions ||
+      detail.votePositions ||
+      detail.members ||
+      [];
+
+    let voteDate = new Date(
+      summary.date || summary.actionDate || detailVote.date || detailVote.startDate || ""
+    );
+    if (isNaN(voteDate.getTime())) voteDate = null;
+
+    rollCalls.push({
+      congress: billRow.congress,
+      chamber: isHouse ? "House" : "Senate",
+      sessionNumber,
+      rollNumber,
+      question:
+        summary.question || detailVote.question || detailVote.voteQuestion || null,
+      voteDate,
+      result: summary.result || detailVote.result || detailVote.voteResult || null,
+      positions: positions.map((p) => {
+        const member = p.member || {};
+        return {
+          bioguideId: p.bioguideId || member.bioguideId || null,
+          // Senate positions are keyed by LIS member id
+          lisId:
+            p.lisMemberId || p.lisId || p.lis_member_id ||
+            member.lisMemberId || member.lisId || null,
+          name:
+            p.name || member.name ||
+            [p.firstName, p.lastName].filter(Boolean).join(" ") || null,
+          state: p.voteState || p.state || member.state || null,
+          votePosition: p.votePosition || p.position || p.voteCast || null,
+        };
+      }),
+    });
+  }
+
+  return rollCalls;
+}
+
+// Which roll calls count when a bill is first synced: the latest
+// passage-style vote in each chamber, or (if none look like passage) the
+// first roll call listed, which is what we scored before roll_calls existed.
+function pickDefaultScoredRollCalls(rollCalls) {
+  const picked = new Set();
+  const byChamber = {};
+
+  for (const rc of rollCalls) {
+    if (!rc.question || !PASSAGE_QUESTION_RE.test(rc.question)) continue;
+    const prev = byChamber[rc.chamber];
+    if (!prev || (rc.voteDate && (!prev.voteDate || rc.voteDate > prev.voteDate))) {
+      byChamber[rc.chamber] = rc;
+    }
+  }
+
+  for (const rc of Object.values(byChamber)) picked.add(rc);
+  if (!picked.size && rollCalls.length) picked.add(rollCalls[0]);
+  return picked;
+}
+
+const EMPTY_VOTE_SYNC_SUMMARY = {
+  rollCalls: 0,
+  matched: 0,
+  importedMembers: 0,
+  unmatchedBioguideIds: [],
+  unmatchedSenators: [],
+  inserted: 0,
+  updated: 0,
+};
+
+// Store every roll call for a bill plus each member's position, then refresh
+// the bill-level member_votes rows shown in the voting record. Bioguide IDs
+// are resolved in one query and everything is written in one transaction.
+// Returns { rollCalls, matched, importedMembers, unmatchedBioguideIds,
+// unmatchedSenators, inserted, updated } where inserted/updated count
+// member_votes rows. Pass
+// { recompute: false } when the caller rescores the bill's members itself,
+// { importMembers: false } to leave unknown voters unmatched (HTTP requests
+// queue enqueueVoterImport instead), and a shared failedMemberLookups set to
+// skip ids Congress.gov already couldn't resolve during this run.
+async function syncVotesForBill(
+  billId,
+  { recompute = true, importMembers = true, failedMemberLookups = new Set() } = {}
+) {
+  const { rows } = await pool.query(
+    `
+    SELECT
+      id,
+      congress,
+      bill_type,
+      bill_number,
+      chamber
+    FROM bills
+    WHERE id = $1
+  `,
+    [billId]
+  );
+  if (!rows.length) return { ...EMPTY_VOTE_SYNC_SUMMARY };
+  const billRow = rows[0];
+
+  const rollCalls = await fetchRollCallsForBill(billRow);
+  if (!rollCalls.length) {
+    console.log("No roll calls found for bill", billId);
+    return { ...EMPTY_VOTE_SYNC_SUMMARY };
+  }
+
+  console.log(
+    `Syncing ${rollCalls.length} roll call(s) for bill ${billRow.congress} ${billRow.bill_type} ${billRow.bill_number}`
+  );
+
+  // Voters are matched on bioguide id, or LIS id for Senate positions
+  const allPositions = rollCalls.flatMap((rc) =>
+    rc.positions.map((p) => ({ ...p, chamber: rc.chamber }))
+  );
+  const bioguideIds = [...new Set(allPositions.map((p) => p.bioguideId).filter(Boolean))];
+  const lisIds = [...new Set(allPositions.map((p) => p.lisId).filter(Boolean))];
+
+  const memberIdByBioguide = new Map();
+  const memberIdByLis = new Map();
+  const loadMemberIds = async (bioguides, lis) => {
+    const { rows: found } = await pool.query(
+      `
+      SELECT id, bioguide_id, lis_id
+      FROM politicians
+      WHERE bioguide_id = ANY($1::text[]) OR lis_id = ANY($2::text[])
+    `,
+      [bioguides, lis]
+    );
+    for (const r of found) {
+      if (r.bioguide_id) memberIdByBioguide.set(r.bioguide_id, r.id);
+      if (r.lis_id) memberIdByLis.set(r.lis_id, r.id);
+    }
+  };
+  const resolveMemberId = (p) =>
+    (p.bioguideId && memberIdByBioguide.get(p.bioguideId)) ||
+    (p.lisId && memberIdByLis.get(p.lisId)) ||
+    null;
+
+  await loadMemberIds(bioguideIds, lisIds);
+
+  // Voters we've never seen (e.g. members who left before the member sync
+  // ran) are looked up on Congress.gov and imported on the spot.
+  const unknownIds = [
+    ...new Set(
+      allPositions.filter((p) => p.bioguideId && !resolveMemberId(p)).map((p) => p.bioguideId)
+    ),
+  ];
+  const importedMembers =
+    importMembers && unknownIds.length
+      ? await importMembersByBioguideIds(unknownIds, failedMemberLookups)
+      : [];
+  if (importedMembers.length) {
+    await loadMemberIds(importedMembers, []);
+  }
+
+  const unmatchedPositions = allPositions.filter((p) => !resolveMemberId(p));
+  const unmatchedBioguideIds = [
+    ...new Set(unmatchedPositions.map((p) => p.bioguideId).filter(Boolean)),
+  ];
+  // Senators we couldn't place by either id, described for the admin UI
+  const unmatchedSenators = [
+    ...new Map(
+      unmatchedPositions
+        .filter((p) => p.chamber === "Senate")
+        .map((p) => [
+          p.lisId || p.bioguideId || p.name,
+          { lisId: p.lisId, bioguideId: p.bioguideId, name: p.name, state: p.state },
+        ])
+    ).values(),
+  ];
+  const matchedMemberIds = new Set(allPositions.map(resolveMemberId).filter(Boolean));
+
+  const affectedMembers = new Set();
+
+  // member id -> raw position on the roll call that represents the bill in
+  // member_votes (latest scored one, else latest overall)
+  const billLevelVotes = new Map();
+  const ordered = rollCalls
+    .slice()
+    .sort((a, b) => (a.voteDate || 0) - (b.voteDate || 0));
+
+  let inserted = 0;
+  let updated = 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const existingRes = await client.query(
+      "SELECT COUNT(*) AS count FROM roll_calls WHERE bill_id = $1",
+      [billRow.id]
+    );
+    // Only auto-pick scored roll calls the first time; after that it's the
+    // admins' call (see PUT /api/admin/roll-calls/:id).
+    const defaultScored =
+      parseInt(existingRes.rows[0].count, 10) === 0
+        ? pickDefaultScoredRollCalls(rollCalls)
+        : new Set();
+
+    for (const rc of ordered) {
+      const rcRes = await client.query(
+        `
+        INSERT INTO roll_calls
+          (id, bill_id, congress, chamber, session_number, roll_number,
+           question, vote_date, result, is_scored)
+        VALUES
+          ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        ON CONFLICT (bill_id, congress, chamber, session_number, roll_number)
+        DO UPDATE SET
+          question = COALESCE(EXCLUDED.question, roll_calls.question),
+          vote_date = COALESCE(EXCLUDED.vote_date, roll_calls.vote_date),
+          result = COALESCE(EXCLUDED.result, roll_calls.result)
+        RETURNING id, is_scored;
+      `,
+        [
+          crypto.randomUUID(),
+          billRow.id,
+          rc.congress,
+          rc.chamber,
+          rc.sessionNumber,
+          rc.rollNumber,
+          rc.question,
+          rc.voteDate,
+          rc.result,
+          defaultScored.has(rc),
+        ]
+      );
+      const rollCallId = rcRes.rows[0].id;
+      const isScored = rcRes.rows[0].is_scored;
+
+      // One row per member (a duplicate would make ON CONFLICT fail)
+      const positions = new Map();
+      for (const pos of rc.positions) {
+        const memberId = resolveMemberId(pos);
+        if (!memberId) continue;
+        positions.set(memberId, normalizeRollCallPosition(pos.votePosition));
+
+        affectedMembers.add(memberId);
+        const prev = billLevelVotes.get(memberId);
+        if (!prev || isScored || !prev.isScored) {
+          billLevelVotes.set(memberId, { votePosition: pos.votePosition, isScored });
+        }
+      }
+
+      if (positions.size) {
+        await client.query(
+          `
+          INSERT INTO roll_call_votes (id, roll_call_id, member_id, position)
+          SELECT t.id, $1, t.member_id, t.position
+          FROM unnest($2::uuid[], $3::uuid[], $4::text[]) AS t(id, member_id, position)
+          ON CONFLICT (roll_call_id, member_id)
+          DO UPDATE SET position = EXCLUDED.position
+        `,
+          [
+            rollCallId,
+            [...positions.keys()].map(() => crypto.randomUUID()),
+            [...positions.keys()],
+            [...positions.values()],
+          ]
+        );
+      }
+    }
+
+    if (billLevelVotes.size) {
+      const memberIds = [...billLevelVotes.keys()];
+      const rawPositions = memberIds.map((id) => billLevelVotes.get(id).votePosition);
+
+      const mvRes = await client.query(
+        `
+        INSERT INTO member_votes
+          (id, member_id, bill_id, vote, position, is_current_congress)
+        SELECT t.id, t.member_id, $1, t.vote, t.position, $6
+        FROM unnest($2::uuid[], $3::uuid[], $4::text[], $5::text[])
+          AS t(id, member_id, vote, position)
+        ON CONFLICT (member_id, bill_id)
+        DO UPDATE SET
+          vote = EXCLUDED.vote,
+          position = EXCLUDED.position,
+          is_current_congress = EXCLUDED.is_current_congress,
+          created_at = now()
+        RETURNING (xmax = 0) AS inserted
+      `,
+        [
+          billRow.id,
+          memberIds.map(() => crypto.randomUUID()),
+          memberIds,
+          rawPositions.map(normalizeVotePositionToOurVote),
+          rawPositions.map(normalizeRollCallPosition),
+          billRow.congress === getCurrentCongress(),
+        ]
+      );
+      inserted = mvRes.rows.filter((r) => r.inserted).length;
+      updated = mvRes.rows.length - inserted;
+    }
+
+    await client.query("UPDATE bills SET votes_synced = TRUE WHERE id = $1", [
+      billRow.id,
+    ]);
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (unmatchedBioguideIds.length) {
+    console.warn(
+      `[vote-sync] ${unmatchedBioguideIds.length} voter(s) on bill ${billRow.id} not matched to a politician:`,
+      unmatchedBioguideIds.join(", ")
+    );
+  }
+  if (unmatchedSenators.length) {
+    console.warn(
+      `[vote-sync] ${unmatchedSenators.length} senator(s) on bill ${billRow.id} not matched by bioguide or LIS id:`,
+      unmatchedSenators.map((sen) => sen.lisId || sen.bioguideId || sen.name).join(", ")
+    );
+  }
+
+  if (recompute) {
+    await recomputeScores([...affectedMembers], { cause: "votes.sync", billId });
+  }
+
+  return {
+    rollCalls: rollCalls.length,
+    matched: matchedMemberIds.size,
+    importedMembers: importedMembers.length,
+    unmatchedBioguideIds,
+    unmatchedSenators,
+    inserted,
+    updated,
+  };
+}
+
+// Sync votes for rated bills. params.billIds limits it to specific bills;
+// otherwise every rated bill whose votes haven't been synced yet
+// (or all rated bills when params.resync is true).
+async function syncVotesForRatedBills(params = {}, onProgress = async () => {}) {
+  const billIds = Array.isArray(params.billIds) ? params.billIds : null;
+
+  const { rows } = billIds
+    ? await pool.query("SELECT id FROM bills WHERE id = ANY($1::uuid[])", [billIds])
+    : await pool.query(
+        `
+        SELECT id
+        FROM bills
+        WHERE af_position IS NOT NULL
+          AND af_position <> 'Neither'
+          AND congress IS NOT NULL
+          AND ($1 OR votes_synced IS NOT TRUE)
+        ORDER BY bill_date DESC NULLS LAST
+      `,
+        [!!params.resync]
+      );
+
+  let billsSynced = 0;
+  let votesInserted = 0;
+  let votesUpdated = 0;
+  let membersImported = 0;
+  const failedBillIds = [];
+  const unmatched = new Set();
+  const unmatchedSenators = new Map();
+  const failedMemberLookups = new Set();
+
+  for (const [i, row] of rows.entries()) {
+    try {
+      const summary = await syncVotesForBill(row.id, { failedMemberLookups });
+      votesInserted += summary.inserted;
+      votesUpdated += summary.updated;
+      membersImported += summary.importedMembers;
+      summary.unmatchedBioguideIds.forEach((id) => unmatched.add(id));
+      summary.unmatchedSenators.forEach((sen) =>
+        unmatchedSenators.set(sen.lisId || sen.bioguideId || sen.name, sen)
+      );
+      billsSynced++;
+    } catch (err) {
+      console.error("[vote-sync] failed for bill", row.id, err);
+      failedBillIds.push(row.id);
+    }
+    await onProgress(i + 1, rows.length, `Synced votes for ${i + 1} / ${rows.length} bills`);
+  }
+
+  return {
+    billsSynced,
+    votesInserted,
+    votesUpdated,
+    membersImported,
+    unmatchedCount: unmatched.size,
+    unmatchedBioguideIds: [...unmatched].sort(),
+    unmatchedSenatorCount: unmatchedSenators.size,
+    unmatchedSenators: [...unmatchedSenators.values()],
+    failedBillIds,
+    totalBills: rows.length,
+  };
+}
+
+// -----------------------------
+//   BACKGROUND JOBS
+// -----------------------------
+
+// Congress.gov syncs are too slow for a single HTTP request, so the sync
+// routes only enqueue a row in sync_jobs. A single in-process runner picks
+// queued jobs up in order and reports progress back onto the row, which the
+// admin UI polls through GET /api/admin/jobs/:id.
+
+const JOB_POLL_INTERVAL_MS = 5000;
+
+const JOB_HANDLERS = {
+  members: (params, onProgress) =>
+    Array.isArray(params.bioguideIds)
+      ? importUnmatchedVoters(params, onProgress)
+      : syncMembersIntoDb(onProgress),
+  bills: (params, onProgress) => syncRecentBillsIntoDb(onProgress),
+  votes: (params, onProgress) => syncVotesForRatedBills(params, onProgress),
+  portraits: (params, onProgress) => importOfficialPortraits(params, onProgress),
+};
+
+const JOB_COLUMNS = `
+  id,
+  type,
+  status,
+  params,
+  progress_current AS "progressCurrent",
+  progress_total AS "progressTotal",
+  progress_message AS "progressMessage",
+  result,
+  error,
+  requested_by_username AS "requestedBy",
+  created_at AS "createdAt",
+  started_at AS "startedAt",
+  finished_at AS "finishedAt"
+`;
+
+let jobRunnerBusy = false;
+
+// Queue a job unless one of the same type is already queued or running,
+// in which case that job is returned instead.
+async function enqueueJob(type, params, actor) {
+  const existing = await pool.query(
+    `
+    SELECT ${JOB_COLUMNS}
+    FROM sync_jobs
+    WHERE type = $1 AND status IN ('queued', 'running')
+    ORDER BY created_at ASC
+    LIMIT 1
+  `,
+    [type]
+  );
+  if (existing.rows.length) {
+    return { job: existing.rows[0], alreadyQueued: true };
+  }
+
+  const { rows } = await pool.query(
+    `
+    INSERT INTO sync_jobs
+      (id, type, status, params, requested_by, requested_by_username)
+    VALUES
+      ($1, $2, 'queued', $3, $4, $5)
+    RETURNING ${JOB_COLUMNS};
+  `,
+    [
+      crypto.randomUUID(),
+      type,
+      JSON.stringify(params || {}),
+      actor ? actor.id : null,
+      actor ? actor.username : "system",
+    ]
+  );
+
+  setImmediate(runPendingJobs);
+  return { job: rows[0], alreadyQueued: false };
+}
+
+async function claimNextJob() {
+  const { rows } = await pool.query(`
+    UPDATE sync_jobs
+    SET status = 'running', started_at = now()
+    WHERE id = (
+      SELECT id FROM sync_jobs
+      WHERE status = 'queued'
+      ORDER BY created_at ASC
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+  `);
+  return rows[0] || null;
+}
+
+async function runJob(job) {
+  const handler = JOB_HANDLERS[job.type];
+  const actor = job.requested_by
+    ? { id: job.requested_by, username: job.requested_by_username }
+    : null;
+
+  const onProgress = async (current, total, message) => {
+    try {
+      await pool.query(
+        `
+        UPDATE sync_jobs
+        SET progress_current = $2, progress_total = $3, progress_message = $4
+        WHERE id = $1
+      `,
+        [job.id, current, total, message || null]
+      );
+    } catch (err) {
+      console.error("[jobs] failed to report progress for", job.id, err);
+    }
+  };
+
+  console.log(`[jobs] starting ${job.type} job ${job.id}`);
+
+  try {
+    if (!handler) throw new Error(`Unknown job type: ${job.type}`);
+
+    const result = await handler(job.params || {}, onProgress);
+    await pool.query(
+      `
+      UPDATE sync_jobs
+      SET status = 'succeeded', result = $2, finished_at = now()
+      WHERE id = $1
+    `,
+      [job.id, JSON.stringify(result || {})]
+    );
+    await recordAudit(pool, actor, {
+      action: `sync.${job.type}`,
+      entityType: "sync",
+      entityId: job.id,
+      after: result,
+    });
+    console.log(`[jobs] ${job.type} job ${job.id} succeeded`, result);
+  } catch (err) {
+    console.error(`[jobs] ${job.type} job ${job.id} failed:`, err);
+    await pool.query(
+      `
+      UPDATE sync_jobs
+      SET status = 'failed', error = $2, finished_at = now()
+      WHERE id = $1
+    `,
+      [job.id, String((err && err.message) || err).slice(0, 2000)]
+    );
+    await recordAudit(pool, actor, {
+      action: `sync.${job.type}`,
+      entityType: "sync",
+      entityId: job.id,
+      after: { status: "failed", error: String((err && err.message) || err) },
+    });
+  }
+}
+
+// Drain the queue one job at a time. Safe to call repeatedly.
+async function runPendingJobs() {
+  if (jobRunnerBusy) return;
+  jobRunnerBusy = true;
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error("[jobs] runner error:", err);
+  } finally {
+    jobRunnerBusy = false;
+  }
+}
+
+// Jobs left "running" by a restart/deploy go back on the queue.
+async function startJobRunner() {
+  const { rowCount } = await pool.query(`
+    UPDATE sync_jobs
+    SET status = 'queued', started_at = NULL
+    WHERE status = 'running'
+  `);
+  if (rowCount) {
+    console.log(`[jobs] re-queued ${rowCount} interrupted job(s)`);
+  }
+
+  setInterval(runPendingJobs, JOB_POLL_INTERVAL_MS);
+  runPendingJobs();
+}
+
+function enqueueJobRoute(type, paramsFromReq = () => ({})) {
+  return async (req, res) => {
+    try {
+      const { job, alreadyQueued } = await enqueueJob(
+        type,
+        paramsFromReq(req),
+        req.admin
+      );
+      res.status(202).json({ jobId: job.id, alreadyQueued, job });
+    } catch (err) {
+      console.error(`Error queueing ${type} sync:`, err);
+      res.status(500).json({ error: "Error queueing sync" });
+    }
+  };
+}
+
+app.post("/api/admin/sync-members", requireAdmin("superadmin"), enqueueJobRoute("members"));
+
+app.post("/api/admin/sync-bills", requireAdmin("superadmin"), enqueueJobRoute("bills"));
+
+app.post(
+  "/api/admin/sync-votes",
+  requireAdmin("superadmin"),
+  enqueueJobRoute("votes", (req) => {
+    const { billIds, resync } = req.body || {};
+    return {
+      billIds: Array.isArray(billIds) ? billIds : undefined,
+      resync: !!resync,
+    };
+  })
+);
+
+app.post(
+  "/api/admin/sync-portraits",
+  requireAdmin("superadmin"),
+  enqueueJobRoute("portraits", (req) => ({
+    overwriteUploads: !!(req.body && req.body.overwriteUploads),
+  }))
+);
+
+// GET /api/admin/jobs?type=bills&limit=20  – most recent jobs first
+app.get("/api/admin/jobs", requireAdmin("viewer"), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit || "20", 10) || 20, 1), 100);
+  const { type } = req.query;
+
+  try {
+    const { rows } = await pool.query(
+      `
+      SELECT ${JOB_COLUMNS}
+      FROM sync_jobs
+      WHERE ($1::text IS NULL OR type = $1)
+      ORDER BY created_at DESC
+      LIMIT $2;
+    `,
+      [type || null, limit]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error("Error fetching jobs:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/admin/jobs/:id", requireAdmin("viewer"), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${JOB_COLUMNS} FROM sync_jobs WHERE id = $1`,
+      [req.params.id]
+    );
+    if (!rows.length) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(rows[0]);
+  } catch (err) {
+    console.error("Error fetching job:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// -----------------------------
+//   MEMBERS API
+// -----------------------------
+
+const MEMBER_STATUS_FILTERS = {
+  current: "in_office",
+  former: "NOT in_office",
+  all: null,
+};
+
+// Own keys only: `in` would also accept inherited names like "constructor",
+// whose values must never reach the WHERE clause
+function isMemberStatus(status) {
+  return Object.prototype.hasOwnProperty.call(MEMBER_STATUS_FILTERS, status);
+}
+
+// Whitelisted ORDER BY clauses for the member list (never interpolate user input)
+const MEMBER_SORTS = {
+  position: "position NULLS LAST, name ASC",
+  name_asc: "name ASC",
+  name_desc: "name DESC",
+  state_asc: "state ASC NULLS LAST, name ASC",
+  state_desc: "state DESC NULLS LAST, name ASC",
+  lifetime_desc: "lifetime_score DESC NULLS LAST, name ASC",
+  lifetime_asc: "lifetime_score ASC NULLS LAST, name ASC",
+  current_desc: "current_score DESC NULLS LAST, name ASC",
+  current_asc: "current_score ASC NULLS LAST, name ASC",
+};
+
+// Score range query params -> column
+const MEMBER_SCORE_RANGES = {
+  minLifetime: ["lifetime_score", ">="],
+  maxLifetime: ["lifetime_score", "<="],
+  minCurrent: ["current_score", ">="],
+  maxCurrent: ["current_score", "<="],
+};
+
+// GET /api/members
+//   ?page=1&pageSize=70
+//   &status=current|former|all   (default current)
+//   &q=name, state or party
+//   &chamber=House|Senate
+//   &state=TX
+//   &party=R
+//   &minLifetime=0&maxLifetime=100&minCurrent=0&maxCurrent=100
+//   &sort=position|name_asc|name_desc|state_asc|state_desc|
+//         lifetime_desc|lifetime_asc|current_desc|current_asc
+//
+// Returns { items, page, pageSize, total, totalPages }.
+// Build the WHERE / ORDER BY for a member list from the query params above
+// (shared with the scorecard export). Returns { error } for a bad param.
+function buildMemberListFilters(query) {
+  const { q, chamber, party, sort } = query;
+  const status = query.status || "current";
+  if (!isMemberStatus(status)) {
+    return { error: "status must be one of: " + Object.keys(MEMBER_STATUS_FILTERS).join(", ") };
+  }
+
+  const where = [];
+  const values = [];
+
+  if (MEMBER_STATUS_FILTERS[status]) {
+    where.push(MEMBER_STATUS_FILTERS[status]);
+  }
+
+  if (q && String(q).trim()) {
+    const term = String(q).trim();
+    values.push(`%${term}%`, term.toUpperCase());
+    where.push(
+      `(name ILIKE $${values.length - 1} OR state = $${values.length} OR party = $${values.length})`
+    );
+  }
+
+  if (chamber && chamber !== "all") {
+    values.push(chamber);
+    where.push(`chamber = $${values.length}`);
+  }
+
+  if (query.state) {
+    const state = normalizeState(String(query.state));
+    if (!state) {
+      return { error: "state must be a state name or 2-letter code" };
+    }
+    values.push(state);
+    where.push(`state = $${values.length}`);
+  }
+
+  if (party) {
+    values.push(String(party).toUpperCase());
+    where.push(`party = $${values.length}`);
+  }
+
+  for (const [param, [column, op]] of Object.entries(MEMBER_SCORE_RANGES)) {
+    const raw = query[param];
+    if (raw === undefined || raw === "") continue;
+    const value = Number(raw);
+    if (!Number.isFinite(value)) {
+      return { error: `${param} must be a number` };
+    }
+    values.push(value);
+    where.push(`${column} ${op} $${values.length}`);
+  }
+
+  return {
+    whereSql: where.length ? "WHERE " + where.join(" AND ") : "",
+    values,
+    orderBy: Object.prototype.hasOwnProperty.call(MEMBER_SORTS, sort)
+      ? MEMBER_SORTS[sort]
+      : MEMBER_SORTS.position,
+  };
+}
+
+app.get("/api/members", async (req, res) => {
+  const { page, pageSize, offset } = parsePagination(req.query, 70, 1000);
+  const filters = buildMemberListFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+  const { whereSql, values, orderBy } = filters;
+
+  try {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM politicians ${whereSql}`,
+      values
+    );
+    const total = parseInt(countResult.rows[0].total, 10) || 0;
+
+    const result = await pool.query(
+      `
+      SELECT
+        id,
+        bioguide_id AS "bioguideId",
+        lis_id AS "lisId",
+        name,
+        chamber,
+        state,
+        party,
+        in_office AS "inOffice",
+        term_start AS "termStart",
+        term_end AS "termEnd",
+        congresses,
+        lifetime_score AS "lifetimeScore",
+        current_score AS "currentScore",
+        participation_rate AS "participationRate",
+        missed_votes AS "missedVotes",
+        scored_votes AS "scoredVotes",
+        current_scored_votes AS "currentScoredVotes",
+        ${memberPhotoUrlSql()} AS "photoUrl",
+        trending,
+        position
+      FROM politicians
+      ${whereSql}
+      ORDER BY ${orderBy}
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2};
+    `,
+      [...values, pageSize, offset]
+    );
+
+    res.json({
+      items: result.rows.map(withGrades),
+      page,
+      pageSize,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / pageSize)),
+    });
+  } catch (err) {
+    console.error("Error fetching members:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/members", requireAdmin("editor"), async (req, res) => {
+  try {
+    const {
+      name = "New Member",
+      chamber = "House",
+      state = "",
+      party = "",
+      trending = false,
+      bioguideId = null,
+    } = req.body || {};
+
+    const { rows } = await pool.query(
+      "SELECT COALESCE(MAX(position), 0) AS maxpos FROM politicians"
+    );
+    const nextPosition = (rows[0].maxpos || 0) + 1;
+
+    const id = crypto.randomUUID();
+
+    const insertResult = await pool.query(
+      `
+      INSERT INTO politicians
+        (id, bioguide_id, name, chamber, state, party,
+         lifetime_score, current_score, image_data, trending, position)
+      VALUES
+        ($1, $2, $3, $4, $5, $6,
+         NULL, NULL, NULL, $7, $8)
+      RETURNING
+        id,
+        bioguide_id AS "bioguideId",
+        lis_id AS "lisId",
+        name,
+        chamber,
+        state,
+        party,
+        in_office AS "inOffice",
+        term_start AS "termStart",
+        term_end AS "termEnd",
+        congresses,
+        lifetime_score AS "lifetimeScore",
+        current_score AS "currentScore",
+        participation_rate AS "participationRate",
+        missed_votes AS "missedVotes",
+        ${memberPhotoUrlSql()} AS "photoUrl",
+        trending,
+        position;
+    `,
+      [
+        id,
+        bioguideId,
+        name,
+        chamber,
+        state,
+        party,
+        trending,
+        nextPosition,
+      ]
+    );
+
+    await recordAudit(pool, req.admin, {
+      action: "member.create",
+      entityType: "member",
+      entityId: id,
+      after: await loadMemberForAudit(pool, id),
+    });
+
+    res.status(201).json(insertResult.rows[0]);
+  } catch (err) {
+    console.error("Error adding member:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.put("/api/members/:id", requireAdmin("editor"), async (req, res) => {
+  const { id } = req.params;
+
+  const allowedFields = [
+    "name",
+    "chamber",
+    "state",
+    "party",
+    "trending",
+    "position",
+    "bioguideId",
+    "lisId",
+    "inOffice",
+    "termStart",
+    "termEnd",
+  ];
+
+  const updates = {};
+  for (const key of allowedFields) {
+    if (key in req.body) updates[key] = req.body[key];
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: "No valid fields to update" });
+  }
+
+  const fieldToColumn = {
+    name: "name",
+    chamber: "chamber",
+    state: "state",
+    party: "party",
+    trending: "trending",
+    position: "position",
+    bioguideId: "bioguide_id",
+    lisId: "lis_id",
+    inOffice: "in_office",
+    termStart: "term_start",
+    termEnd: "term_end",
+  };
+
+  const setClauses = [];
+  const values = [];
+  let idx = 1;
+
+  for (const [key, value] of Object.entries(updates)) {
+    setClauses.push(`${fieldToColumn[key]} = $${idx++}`);
+    values.push(value);
+  }
+  values.push(id);
+
+  const query = `
+    UPDATE politicians
+    SET ${setClauses.join(", ")}
+    WHERE id = $${idx}
+    RETURNING
+      id,
+      bioguide_id AS "bioguideId",
+      lis_id AS "lisId",
+      name,
+      chamber,
+      state,
+      party,
+      in_office AS "inOffice",
+      term_start AS "termStart",
+      term_end AS "termEnd",
+      congresses,
+      lifetime_score AS "lifetimeScore",
+      current_score AS "currentScore",
+      participation_rate AS "participationRate",
+      missed_votes AS "missedVotes",
+      ${memberPhotoUrlSql()} AS "photoUrl",
+      trending,
+      position;
+  `;
+
+  try {
+    const before = await loadMemberForAudit(pool, id);
+
+    const result = await pool.query(query, values);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    await recordAudit(pool, req.admin, {
+      action: "member.update",
+      entityType: "member",
+      entityId: id,
+      before,
+      after: await loadMemberForAudit(pool, id),
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Error updating member:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.delete("/api/members/:id", requireAdmin("editor"), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const before = await loadMemberForAudit(pool, id);
+
+    const result = await pool.query(
+      `
+      DELETE FROM politicians
+      WHERE id = $1
+      RETURNING
+        id,
+        bioguide_id AS "bioguideId",
+        lis_id AS "lisId",
+        name,
+        chamber,
+        state,
+        party,
+        in_office AS "inOffice",
+        term_start AS "termStart",
+        term_end AS "termEnd",
+        congresses,
+        lifetime_score AS "lifetimeScore",
+        current_score AS "currentScore",
+        participation_rate AS "participationRate",
+        missed_votes AS "missedVotes",
+        ${memberPhotoUrlSql()} AS "photoUrl",
+        trending,
+        position;
+    `,
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    await recordAudit(pool, req.admin, {
+      action: "member.delete",
+      entityType: "member",
+      entityId: id,
+      before,
+    });
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("Error deleting member:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/members/reorder", requireAdmin("editor"), async (req, res) => {
+  const { ids } = req.body || {};
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return res.status(400).json({ error: "ids array required" });
+  }
+
+  try {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const beforeRes = await client.query(
+        "SELECT id, position FROM politicians WHERE id = ANY($1::uuid[]) ORDER BY position NULLS LAST",
+        [ids]
+      );
+
+      // The list is paginated, so the given members are shuffled among the
+      // positions they already hold and every other member stays put.
+      const maxRes = await client.query(
+        "SELECT COALESCE(MAX(position), 0) AS maxpos FROM politicians"
+      );
+      let nextFree = maxRes.rows[0].maxpos || 0;
+      const slots = beforeRes.rows.map((r) => (r.position != null ? r.position : ++nextFree));
+      const knownIds = new Set(beforeRes.rows.map((r) => r.id));
+      const after = [...new Set(ids)]
+        .filter((id) => knownIds.has(id))
+        .map((id, i) => ({ id, position: slots[i] }));
+
+      for (const { id, position } of after) {
+        await client.query(
+          "UPDATE politicians SET position = $1 WHERE id = $2",
+          [position, id]
+        );
+      }
+
+      await recordAudit(client, req.admin, {
+        action: "member.reorder",
+        entityType: "member",
+        before: beforeRes.rows,
+        after,
+      });
+
+      await client.query("COMMIT");
+      res.json({ success: true });
+    } catch (err) {
+      await client.query("ROLLBACK");
+      console.error("Error reordering members:", err);
+      res.status(500).json({ error: "Server error" });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    console.error("Error getting client for reorder:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.get("/api/members/:id", async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(
+      `
+      SELECT
+        id,
+        bioguide_id AS "bioguideId",
+        lis_id AS "lisId",
+        name,
+        chamber,
+        state,
+        party,
+        in_office AS "inOffice",
+        term_start AS "termStart",
+        term_end AS "termEnd",
+        congresses,
+        lifetime_score AS "lifetimeScore",
+        current_score AS "currentScore",
+        participation_rate AS "participationRate",
+        missed_votes AS "missedVotes",
+        scored_votes AS "scoredVotes",
+        current_scored_votes AS "currentScoredVotes",
+        ${memberPhotoUrlSql()} AS "photoUrl",
+        (
+          SELECT ph.attribution
+          FROM member_photos ph
+          WHERE ph.member_id = politicians.id AND ph.size = 'full'
+        ) AS "photoAttribution",
+        trending,
+        position
+      FROM politicians
+      WHERE id = $1
+    `,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    res.json(withGrades(result.rows[0]));
+  } catch (err) {
+    console.error("Error fetching member by id:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// Score snapshots, oldest first, with the bill that caused each change.
+//   ?limit=500 (most recent N, max 5000)
+app.get("/api/members/:id/score-history", async (req, res) => {
+  const { id } = req.params;
+  const limit = Math.min(5000, Math.max(1, parseInt(req.query.limit, 10) || 500));
+
+  try {
+    const memberRes = await pool.query("SELECT 1 FROM politicians WHERE id = $1", [id]);
+    if (!memberRes.rows.length) {
+      return res.status(404).json({ error: "Not found" });
+    }
+
+    const result = await pool.query(
+      `
+      SELECT *
+      FROM (
+        SELECT
+          sh.id,
+          sh.recorded_at AS "recordedAt",
+          sh.lifetime_score AS "lifetimeScore",
+          sh.current_score AS "currentScore",
+          sh.participation_rate AS "participationRate",
+          sh.cause,
+          sh.bill_id AS "billId",
+          b.title AS "billTitle",
+          sh.roll_call_id AS "rollCallId"
+        FROM score_history sh
+        LEFT JOIN bills b ON b.id = sh.bill_id
+        WHERE sh.member_id = $1
+        ORDER BY sh.recorded_at DESC
+        LIMIT $2
+      ) recent
+      ORDER BY "recordedAt" ASC
+    `,
+      [id, limit]
+    );
+
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching score history:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// -----------------------------
+//   MEMBER PHOTOS
+// -----------------------------
+
+// Every photo is re-encoded as JPEG at each of these sizes (px, longest
+// edge; thumb is a square crop). The index table uses thumb, the member page
+// medium.
+const PHOTO_SIZES = { thumb: 96, medium: 240, full: 800 };
+const MAX_PHOTO_UPLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_PHOTO_PIXELS = 50_000_000;
+// Accepted upload Content-Types -> the format sharp must detect in the bytes
+const PHOTO_UPLOAD_TYPES = {
+  "image/jpeg": "jpeg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+
+// Render every PHOTO_SIZES variant of an image. Returns null when the bytes
+// aren't an accepted image format sharp can decode.
+async function renderPhotoVariants(buffer) {
+  const open = () => sharp(buffer, { limitInputPixels: MAX_PHOTO_PIXELS });
+
+  let format;
+  try {
+    ({ format } = await open().metadata());
+  } catch {
+    return null;
+  }
+  if (!Object.values(PHOTO_UPLOAD_TYPES).includes(format)) return null;
+
+  const variants = {};
+  try {
+    for (const [size, px] of Object.entries(PHOTO_SIZES)) {
+      const image = open().rotate(); // honor EXIF orientation
+      const resized =
+        size === "thumb"
+          ? image.resize(px, px, { fit: "cover", position: sharp.strategy.attention })
+          : image.resize(px, px, { fit: "inside", withoutEnlargement: true });
+      variants[size] = await resized
+        .flatten({ background: "#ffffff" })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toBuffer();
+    }
+  } catch {
+    return null;
+  }
+  return { format, variants };
+}
+
+// Replace a member's photo with the given variants. Returns the new etag.
+async function storeMemberPhoto(
+  db,
+  memberId,
+  variants,
+  { source = "upload", sourceUrl = null, attribution = null } = {}
+) {
+  const etag = crypto.createHash("sha1").update(variants.full).digest("hex").slice(0, 16);
+  const sizes = Object.keys(variants);
+  await db.query(
+    `
+    WITH removed AS (
+      DELETE FROM member_photos
+      WHERE member_id = $1 AND NOT (size = ANY($2::text[]))
+    )
+    INSERT INTO member_photos
+      (member_id, size, content_type, data, etag, source, source_url, attribution, updated_at)
+    SELECT $1, x.size, 'image/jpeg', x.data, $4, $5, $6, $7, now()
+    FROM unnest($2::text[], $3::bytea[]) AS x(size, data)
+    ON CONFLICT (member_id, size) DO UPDATE SET
+      content_type = EXCLUDED.content_type,
+      data = EXCLUDED.data,
+      etag = EXCLUDED.etag,
+      source = EXCLUDED.source,
+      source_url = EXCLUDED.source_url,
+      attribution = EXCLUDED.attribution,
+      updated_at = EXCLUDED.updated_at
+  `,
+    [memberId, sizes, sizes.map((size) => variants[size]), etag, source, sourceUrl, attribution]
+  );
+  return etag;
+}
+
+// Photos used to be stored inline as base64 data URLs in politicians.image_data.
+// Move any that are left into member_photos (one at a time – they can be big).
+// Unreadable ones are kept and logged on every startup until an admin uploads
+// a replacement, which clears them.
+async function migrateLegacyMemberPhotos() {
+  const { rows } = await pool.query(
+    "SELECT id FROM politicians WHERE image_data IS NOT NULL"
+  );
+  if (!rows.length) return;
+
+  let migrated = 0;
+  for (const { id } of rows) {
+    try {
+      const res = await pool.query("SELECT image_data FROM politicians WHERE id = $1", [id]);
+      const match = /^data:[^;,]*;base64,(.*)$/s.exec(res.rows[0]?.image_data || "");
+      const rendered = match ? await renderPhotoVariants(Buffer.from(match[1], "base64")) : null;
+      if (!rendered) {
+        console.warn("[photos] Keeping unreadable legacy photo for member", id);
+        continue;
+      }
+      await storeMemberPhoto(pool, id, rendered.variants, { source: "upload" });
+      await pool.query("UPDATE politicians SET image_data = NULL WHERE id = $1", [id]);
+      migrated++;
+    } catch (err) {
+      console.error("[photos] Failed to migrate legacy photo for member", id, err);
+    }
+  }
+  console.log(`[photos] Migrated ${migrated}/${rows.length} legacy member photo(s)`);
+}
+
+// GET /api/members/:id/photo?size=thumb|medium|full (default full)
+// Versioned URLs (?v=<etag>, as returned in photoUrl) are immutable; bare
+// ones are revalidated with If-None-Match.
+app.get("/api/members/:id/photo", async (req, res) => {
+  const { id } = req.params;
+  const size = req.query.size || "full";
+  if (!Object.prototype.hasOwnProperty.call(PHOTO_SIZES, size)) {
+    return res
+      .status(400)
+      .json({ error: "size must be one of: " + Object.keys(PHOTO_SIZES).join(", ") });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `
+      SELECT
+        content_type AS "contentType",
+        data,
+        etag,
+        updated_at AS "updatedAt"
+      FROM member_photos
+      WHERE member_id = $1 AND size = $2
+    `,
+      [id, size]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "No photo" });
+    }
+
+    const photo = rows[0];
+    res.set({
+      "Content-Type": photo.contentType,
+      ETag: `"${photo.etag}-${size}"`,
+      "Last-Modified": photo.updatedAt.toUTCString(),
+      "Cache-Control":
+        req.query.v === photo.etag
+          ? "public, max-age=31536000, immutable"
+          : "public, max-age=0, must-revalidate",
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.send(photo.data);
+  } catch (err) {
+    console.error("Error fetching member photo:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+const parsePhotoUpload = express.raw({ type: () => true, limit: MAX_PHOTO_UPLOAD_BYTES });
+
+// Raw image body, with its Content-Type set to one of PHOTO_UPLOAD_TYPES
+function readPhotoUpload(req, res, next) {
+  parsePhotoUpload(req, res, (err) => {
+    if (err && err.type === "entity.too.large") {
+      return res
+        .status(413)
+        .json({ error: `Photo must be ${MAX_PHOTO_UPLOAD_BYTES / (1024 * 1024)} MB or smaller` });
+    }
+    if (err) {
+      return res.status(400).json({ error: "Could not read photo upload" });
+    }
+    next();
+  });
+}
+
+app.put(
+  "/api/members/:id/photo",
+  requireAdmin("editor"),
+  readPhotoUpload,
+  async (req, res) => {
+    const { id } = req.params;
+    const contentType = (req.get("Content-Type") || "").split(";")[0].trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(PHOTO_UPLOAD_TYPES, contentType)) {
+      return res.status(415).json({
+        error: "Photo must be one of: " + Object.keys(PHOTO_UPLOAD_TYPES).join(", "),
+      });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Photo upload is empty" });
+    }
+
+    try {
+      const before = await loadMemberForAudit(pool, id);
+      if (!before) {
+        return res.status(404).json({ error: "Not found" });
+      }
+
+      const rendered = await renderPhotoVariants(req.body);
+      if (!rendered || rendered.format !== PHOTO_UPLOAD_TYPES[contentType]) {
+        return res.status(415).json({ error: `File is not a valid ${contentType} image` });
+      }
+
+      const etag = await storeMemberPhoto(pool, id, rendered.variants, { source: "upload" });
+      // replaces any legacy photo migrateLegacyMemberPhotos() couldn't read
+      await pool.query("UPDATE politicians SET image_data = NULL WHERE id = $1", [id]);
+
+      await recordAudit(pool, req.admin, {
+        action: "member.photo_upload",
+        entityType: "member",
+        entityId: id,
+        before,
+        after: await loadMemberForAudit(pool, id),
+      });
+
+      res.json({ photoUrl: `/api/members/${id}/photo?v=${etag}` });
+    } catch (err) {
+      console.error("Error uploading member photo:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+app.delete("/api/members/:id/photo", requireAdmin("editor"), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const before = await loadMemberForAudit(pool, id);
+
+    const result = await pool.query("DELETE FROM member_photos WHERE member_id = $1", [id]);
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "No photo" });
+    }
+
+    await recordAudit(pool, req.admin, {
+      action: "member.photo_delete",
+      entityType: "member",
+      entityId: id,
+      before,
+      after: await loadMemberForAudit(pool, id),
+    });
+
+    res.json({ photoUrl: null });
+  } catch (err) {
+    console.error("Error deleting member photo:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// -----------------------------
+//   OFFICIAL PORTRAITS
+// -----------------------------
+
+// The member sync records each member's Congress.gov depiction URL; the
+// "portraits" job downloads them into member_photos so they're served (and
+// thumbnailed) by us like any upload. Photos an admin uploaded are only
+// replaced when the job runs with overwriteUploads.
+const PORTRAIT_DOWNLOAD_TIMEOUT_MS = 30000;
+
+const PORTRAIT_CANDIDATES_SQL = `
+  FROM politicians p
+  LEFT JOIN member_photos ph ON ph.member_id = p.id AND ph.size = 'full'
+  WHERE p.depiction_url IS NOT NULL
+    AND (
+      ph.member_id IS NULL
+      OR (ph.source = 'congress_gov' AND ph.source_url IS DISTINCT FROM p.depiction_url)
+      OR ($1 AND ph.source = 'upload')
+    )
+`;
+
+async function countPortraitCandidates(overwriteUploads) {
+  const { rows } = await pool.query(
+    `SELECT COUNT(*) AS count ${PORTRAIT_CANDIDATES_SQL}`,
+    [!!overwriteUploads]
+  );
+  return parseInt(rows[0].count, 10);
+}
+
+async function downloadPortrait(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), PORTRAIT_DOWNLOAD_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res.ok) {
+      throw new Error(`Portrait request failed: ${res.status}`);
+    }
+    const declaredLength = parseInt(res.headers.get("content-length") || "0", 10);
+    if (declaredLength > MAX_PHOTO_UPLOAD_BYTES) {
+      throw new Error(`Portrait is too large (${declaredLength} bytes)`);
+    }
+    const buffer = Buffer.from(await res.arrayBuffer());
+    if (buffer.length > MAX_PHOTO_UPLOAD_BYTES) {
+      throw new Error(`Portrait is too large (${buffer.length} bytes)`);
+    }
+    return buffer;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Job handler. params: { overwriteUploads }
+async function importOfficialPortraits(params = {}, onProgress = async () => {}) {
+  const overwriteUploads = !!params.overwriteUploads;
+
+  const { rows } = await pool.query(
+    `
+    SELECT
+      p.id,
+      p.name,
+      p.depiction_url AS "depictionUrl",
+      p.depiction_attribution AS "depictionAttribution"
+    ${PORTRAIT_CANDIDATES_SQL}
+    ORDER BY p.position NULLS LAST, p.name ASC
+  `,
+    [overwriteUploads]
+  );
+
+  // Reported so admins know how many uploads were left alone
+  const uploadsKept = await pool.query(
+    `
+    SELECT COUNT(*) AS count
+    FROM politicians p
+    JOIN member_photos ph ON ph.member_id = p.id AND ph.size = 'full'
+    WHERE p.depiction_url IS NOT NULL AND ph.source = 'upload' AND NOT $1
+  `,
+    [overwriteUploads]
+  );
+
+  let imported = 0;
+  let replacedUploads = 0;
+  const failedMemberIds = [];
+
+  for (const [i, member] of rows.entries()) {
+    try {
+      const rendered = await renderPhotoVariants(await downloadPortrait(member.depictionUrl));
+      if (!rendered) throw new Error("Not a readable image");
+
+      const before = await loadMemberForAudit(pool, member.id);
+      const existing = await pool.query(
+        "SELECT source FROM member_photos WHERE member_id = $1 AND size = 'full'",
+        [member.id]
+      );
+      await storeMemberPhoto(pool, member.id, rendered.variants, {
+        source: "congress_gov",
+        sourceUrl: member.depictionUrl,
+        attribution: member.depictionAttribution,
+      });
+      if (existing.rows[0] && existing.rows[0].source === "upload") {
+        replacedUploads++;
+        await recordAudit(pool, null, {
+          action: "member.photo_import",
+          entityType: "member",
+          entityId: member.id,
+          before,
+          after: await loadMemberForAudit(pool, member.id),
+        });
+      }
+      imported++;
+    } catch (err) {
+      console.error("[portraits] failed for member", member.id, member.depictionUrl, err.message);
+      failedMemberIds.push(member.id);
+    }
+    await onProgress(i + 1, rows.length, `Imported ${i + 1} / ${rows.length} portraits`);
+  }
+
+  return {
+    imported,
+    replacedUploads,
+    uploadsKept: parseInt(uploadsKept.rows[0].count, 10),
+    failedCount: failedMemberIds.length,
+    failedMemberIds,
+    totalCandidates: rows.length,
+  };
+}
+
+// -----------------------------
+//   BILLS (PUBLIC)
+// -----------------------------
+
+const MAX_BILL_WEIGHT = 10;
+
+// Returns an error message for invalid weight / isScored values, else null.
+function validateBillScoringFields(fields) {
+  if ("weight" in fields) {
+    const weight = Number(fields.weight);
+    if (
+      fields.weight === null ||
+      fields.weight === "" ||
+      !Number.isFinite(weight) ||
+      weight <= 0 ||
+      weight > MAX_BILL_WEIGHT
+    ) {
+      return `weight must be a number greater than 0 and at most ${MAX_BILL_WEIGHT}`;
+    }
+  }
+  if ("isScored" in fields && typeof fields.isScored !== "boolean") {
+    return "isScored must be true or false";
+  }
+  return null;
+}
+
+app.get("/api/bills", async (req, res) => {
+  const { chamber } = req.query;
+  try {
+    let result;
+    if (chamber) {
+      result = await pool.query(
+        `
+        SELECT
+          id,
+          title,
+          chamber,
+          af_position AS "afPosition",
+          af_rationale AS "afRationale",
+          bill_date AS "billDate",
+          description,
+          gov_link AS "govLink",
+          congress,
+          bill_type AS "billType",
+          bill_number AS "billNumber",
+          weight,
+          is_scored AS "isScored"
+        FROM bills
+        WHERE chamber = $1 OR chamber IS NULL
+        ORDER BY bill_date DESC NULLS LAST, title ASC;
+      `,
+        [chamber]
+      );
+    } else {
+      result = await pool.query(
+        `
+        SELECT
+          id,
+          title,
+          chamber,
+          af_position AS "afPosition",
+          af_rationale AS "afRationale",
+          bill_date AS "billDate",
+          description,
+          gov_link AS "govLink",
+          congress,
+          bill_type AS "billType",
+          bill_number AS "billNumber",
+          weight,
+          is_scored AS "isScored"
+        FROM bills
+        ORDER BY bill_date DESC NULLS LAST, title ASC;
+      `
+      );
+    }
+    res.json(result.rows);
+  } catch (err) {
+    console.error("Error fetching bills:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// AF-aligned direction for a bill as a whole: the latest scored roll call's
+// (which is what member_votes mirrors), else implied by the rating.
+// Expects bills aliased as b.
+const BILL_AF_VOTE_SQL = `
+  COALESCE(
+    (
+      SELECT ${ROLL_CALL_AF_VOTE_SQL}
+      FROM roll_calls rc
+      WHERE rc.bill_id = b.id AND rc.is_scored
+      ORDER BY rc.vote_date DESC NULLS LAST, rc.roll_number DESC
+      LIMIT 1
+    ),
+    CASE b.af_position
+      WHEN 'America First' THEN 'Yea'
+      WHEN 'Anti-America First' THEN 'Nay'
+    END
+  )
+`;
+
+const VOTE_ALIGNMENTS = ["aligned", "misaligned", "notVoting", "other"];
+
+// aligned / misaligned need a Yea or Nay on a bill with an AF direction;
+// anything else (Present, unrated bill, no recorded position) is "other"
+function voteAlignment(position, afVote) {
+  if (position === "Not Voting") return "notVoting";
+  if (!afVote || (position !== "Yea" && position !== "Nay")) return "other";
+  return position === afVote ? "aligned" : "misaligned";
+}
+
+function emptyAlignmentCounts() {
+  return Object.fromEntries([["total", 0], ...VOTE_ALIGNMENTS.map((a) => [a, 0])]);
+}
+
+// GET /api/bills/:id
+//
+// Returns the bill (with afRationale and afVote, the AF-aligned direction),
+// its roll calls with position counts, and every member's recorded vote:
+// {
+//   ...bill,
+//   rollCalls: [{ ...roll call, yeaCount, nayCount, presentCount, notVotingCount }],
+//   votes:     [{ memberId, name, chamber, state, party, inOffice, photoUrl,
+//                 vote, position, alignment }],
+//   counts:    { total, aligned, misaligned, notVoting, other,
+//                byParty: { R: { ...same counts }, ... } }
+// }
+// alignment is aligned | misaligned | notVoting | other.
+app.get("/api/bills/:id", async (req, res) => {
+  const { id } = req.params;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: "Bill not found" });
+  }
+
+  try {
+    const billRes = await pool.query(
+      `
+      SELECT
+        b.id,
+        b.title,
+        b.chamber,
+        b.af_position AS "afPosition",
+        b.af_rationale AS "afRationale",
+        b.bill_date AS "billDate",
+        b.description,
+        b.gov_link AS "govLink",
+        b.congress,
+        b.bill_type AS "billType",
+        b.bill_number AS "billNumber",
+        b.weight,
+        b.is_scored AS "isScored",
+        ${BILL_AF_VOTE_SQL} AS "afVote"
+      FROM bills b
+      WHERE b.id = $1
+    `,
+      [id]
+    );
+    if (!billRes.rows.length) {
+      return res.status(404).json({ error: "Bill not found" });
+    }
+    const bill = billRes.rows[0];
+
+    const rollCalls = await loadBillRollCalls(id);
+
+    const voteRes = await pool.query(
+      `
+      SELECT
+        p.id AS "memberId",
+        p.name,
+        p.chamber,
+        p.state,
+        p.party,
+        p.in_office AS "inOffice",
+        ${memberPhotoUrlSql("p")} AS "photoUrl",
+        mv.vote,
+        COALESCE(
+          mv.position,
+          CASE mv.vote WHEN 'Approved' THEN 'Yea' WHEN 'Opposed' THEN 'Nay' END
+        ) AS position
+      FROM member_votes mv
+      JOIN politicians p ON p.id = mv.member_id
+      WHERE mv.bill_id = $1
+      ORDER BY p.name ASC
+    `,
+      [id]
+    );
+
+    const counts = { ...emptyAlignmentCounts(), byParty: {} };
+    const votes = voteRes.rows.map((v) => {
+      const alignment = voteAlignment(v.position, bill.afVote);
+      const party = v.party || "Unknown";
+      if (!counts.byParty[party]) counts.byParty[party] = emptyAlignmentCounts();
+      for (const bucket of [counts, counts.byParty[party]]) {
+        bucket.total++;
+        bucket[alignment]++;
       }
+      return { ...v, alignment };
+    });
+
+    res.json({ ...bill, rollCalls, votes, counts });
+  } catch (err) {
+    console.error("Error fetching bill by id:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.post("/api/bills", requireAdmin("editor"), async (req, res) => {
+  try {
+    const {
+      title,
+      chamber = null,
+      afPosition = null,
+      afRationale = null,
+      billDate = null,
+      description = null,
+      govLink = null,
+      congress = null,
+      billType = null,
+      billNumber = null,
+      weight = 1,
+      isScored = true,
+    } = req.body || {};
+
+    if (!title) {
+      return res.status(400).json({ error: "Title is required" });
+    }
+
+    const scoringError = validateBillScoringFields({ weight, isScored });
+    if (scoringError) {
+      return res.status(400).json({ error: scoringError });
+    }
+
+    const id = crypto.randomUUID();
+    const insertResult = await pool.query(
+      `
+      INSERT INTO bills
+        (id, title, chamber, af_position, bill_date, description, gov_link,
+         congress, bill_type, bill_number, votes_synced, weight, is_scored, af_rationale)
+      VALUES
+        ($1, $2, $3, $4, $5, $6, $7,
+         $8, $9, $10, FALSE, $11, $12, $13)
+      RETURNING
+        id,
+        title,
+        chamber,
+        af_position AS "afPosition",
+        af_rationale AS "afRationale",
+        bill_date AS "billDate",
+        description,
+        gov_link AS "govLink",
+        congress,
+        bill_type AS "billType",
+        bill_number AS "billNumber",
+        weight,
+        is_scored AS "isScored";
+    `,
+      [
+        id,
+        title,
+        chamber,
+        afPosition,
+        billDate,
+        description,
+        govLink,
+        congress,
+        billType,
+        billNumber,
+        Number(weight),
+        isScored,
+        afRationale,
+      ]
+    );
+
+    await recordAudit(pool, req.admin, {
+      action: "bill.create",
+      entityType: "bill",
+      entityId: id,
+      after: await loadBillForAudit(pool, id),
+    });
+
+    res.status(201).json(insertResult.rows[0]);
+  } catch (err) {
+    console.error("Error creating bill:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+app.put("/api/bills/:id", requireAdmin("editor"), async (req, res) => {
+  const { id } = req.params;
+
+  const allowedFields = [
+    "title",
+    "chamber",
+    "afPosition",
+    "afRationale",
+    "billDate",
+    "description",
+    "govLink",
+    "congress",
+    "billType",
+    "billNumber",
+    "weight",
+    "isScored",
+  ];
+
+  const updates = {};
+  for (const key of allowedFields) {
+    if (key in req.body) updates[key] = req.body[key];
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: "No valid fields to update" });
+  }
+
+  const scoringError = validateBillScoringFields(updates);
+  if (scoringError) {
+    return res.status(400).json({ error: scoringError });
+  }
+  if ("weight" in updates) updates.weight = Number(updates.weight);
+
+  const fieldToColumn = {
+    title: "title",
+    chamber: "chamber",
+    afPosition: "af_position",
+    afRationale: "af_rationale",
+    billDate: "bill_date",
+    description: "description",
+    govLink: "gov_link",
+    congress: "congress",
+    billType: "bill_type",
+    billNumber: "bill_number",
+    weight: "weight",
+    isScored: "is_scored",
+  };
+
+  const setClauses = [];
+  const values = [];
+  let idx = 1;
+
+  for (const [key, value] of Object.entries(updates)) {
+    setClauses.push(`${fieldToColumn[key]} = $${idx++}`);
+    values.push(value);
+  }
+  values.push(id);
+
+  const query = `
+    UPDATE bills
+    SET ${setClauses.join(", ")}
+    WHERE id = $${idx}
+    RETURNING
+      id,
+      title,
+      chamber,
+      af_position AS "afPosition",
+      af_rationale AS "afRationale",
+      bill_date AS "billDate",
+      description,
+      gov_link AS "govLink",
+      congress,
+      bill_type AS "billType",
+      bill_number AS "billNumber",
+      weight,
+      is_scored AS "isScored";
+  `;
+
+  try {
+    const before = await loadBillForAudit(pool, id);
+
+    const result = await pool.query(query, values);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Bill not found" });
     }
 
-    await client.query("COMMIT");
-    console.log(
-      "Congress bill sync complete: total=",
-      bills.length,
-      "inserted=",
-      inserted,
-      "updated=",
-      updated
-    );
-    return { inserted, updated, total: bills.length };
+    await recordAudit(pool, req.admin, {
+      action: "bill.update",
+      entityType: "bill",
+      entityId: id,
+      before,
+      after: await loadBillForAudit(pool, id),
+    });
+
+    await recomputeScores(await memberIdsForBill(id), { cause: "bill.update", billId: id });
+
+    res.json(result.rows[0]);
   } catch (err) {
-    await client.query("ROLLBACK");
-    console.error("Error in syncRecentBillsIntoDb:", err);
-    throw err;
-  } finally {
-    client.release();
+    console.error("Error updating bill:", err);
+    res.status(500).json({ error: "Server error" });
   }
-}
+});
 
-app.post("/api/admin/sync-bills", requireAdmin, async (req, res) => {
+app.delete("/api/bills/:id", requireAdmin("editor"), async (req, res) => {
+  const { id } = req.params;
   try {
-    const result = await syncRecentBillsIntoDb();
-    res.json({ success: true, ...result });
+    const before = await loadBillForAudit(pool, id);
+
+    const memberIds = await memberIdsForBill(id);
+
+    const result = await pool.query(
+      `
+      DELETE FROM bills
+      WHERE id = $1
+      RETURNING
+        id,
+        title,
+        chamber,
+        af_position AS "afPosition",
+        bill_date AS "billDate",
+        description,
+        gov_link AS "govLink";
+    `,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Bill not found" });
+    }
+
+    await recordAudit(pool, req.admin, {
+      action: "bill.delete",
+      entityType: "bill",
+      entityId: id,
+      before: before ? { ...before, affectedMembers: memberIds.length } : null,
+    });
+
+    await recomputeScores(memberIds, { cause: "bill.delete", billId: id });
+
+    res.json(result.rows[0]);
   } catch (err) {
-    console.error("Error syncing bills:", err);
-    res.status(500).json({ error: "Error syncing bills" });
+    console.error("Error deleting bill:", err);
+    res.status(500).json({ error: "Server error" });
   }
 });
 
 // -----------------------------
-//   CONGRESS.GOV VOTES
+//   ADMIN DOCKET (paginated)
 // -----------------------------
 
-function normalizeVotePositionToOurVote(positionRaw) {
-  if (!positionRaw) return "Abstained";
-  const p = String(positionRaw).toLowerCase();
-  if (p.startsWith("yea") || p === "yes" || p === "aye") return "Approved";
-  if (p.startsWith("nay") || p === "no") return "Opposed";
-  return "Abstained";
-}
+const AF_POSITIONS = ["America First", "Neither", "Anti-America First"];
 
-async function fetchVotePositionsForBill(billRow) {
-  if (!CONGRESS_API_KEY) {
-    console.error("CONGRESS_API_KEY missing, cannot fetch votes");
-    return [];
+// Whitelisted ORDER BY clauses for the docket (never interpolate user input)
+const DOCKET_SORTS = {
+  date_desc: "b.bill_date DESC NULLS LAST, b.title ASC",
+  date_asc: "b.bill_date ASC NULLS LAST, b.title ASC",
+  title_asc: "b.title ASC",
+  title_desc: "b.title DESC",
+  number_asc: "b.congress DESC NULLS LAST, b.bill_type ASC, b.bill_number ASC",
+  number_desc: "b.congress DESC NULLS LAST, b.bill_type ASC, b.bill_number DESC",
+};
+
+// GET /api/admin/docket
+//   ?page=1&pageSize=50
+//   &congress=118
+//   &hasVotes=true|false     (bill has recorded roll calls or member votes)
+//   &chamber=House|Senate
+//   &billType=hr|s|hjres|...
+//   &q=some title text
+//   &sort=date_desc|date_asc|title_asc|title_desc|number_asc|number_desc
+//
+// Returns { items, page, pageSize, total, totalPages } of bills where
+// af_position IS NULL.
+app.get("/api/admin/docket", requireAdmin("viewer"), async (req, res) => {
+  const { page, pageSize, offset } = parsePagination(req.query, 50);
+  const { congress, hasVotes, chamber, billType, q, sort } = req.query;
+
+  const where = ["b.af_position IS NULL"];
+  const values = [];
+
+  if (congress) {
+    const congressNum = parseInt(congress, 10);
+    if (!congressNum) {
+      return res.status(400).json({ error: "congress must be a number" });
+    }
+    values.push(congressNum);
+    where.push(`b.congress = $${values.length}`);
   }
-  if (!billRow.congress || !billRow.bill_type || !billRow.bill_number) {
-    console.warn("Bill missing congress.gov identity, cannot fetch votes:", billRow);
-    return [];
+
+  const hasVotesSql = `(
+    EXISTS (SELECT 1 FROM roll_calls rc WHERE rc.bill_id = b.id)
+    OR EXISTS (SELECT 1 FROM member_votes mv WHERE mv.bill_id = b.id)
+  )`;
+  if (hasVotes === "true") {
+    where.push(hasVotesSql);
+  } else if (hasVotes === "false") {
+    where.push(`NOT ${hasVotesSql}`);
   }
 
-  const typeLower = String(billRow.bill_type).toLowerCase();
-  const billVotesUrl = new URL(
-    `https://api.congress.gov/v3/bill/${billRow.congress}/${typeLower}/${billRow.bill_number}/votes`
-  );
-  billVotesUrl.searchParams.set("api_key", CONGRESS_API_KEY);
-  billVotesUrl.searchParams.set("format", "json");
+  if (chamber) {
+    values.push(chamber);
+    where.push(`b.chamber = $${values.length}`);
+  }
 
-  console.log("[votes] list URL", billVotesUrl.toString());
+  if (billType) {
+    values.push(String(billType).toLowerCase());
+    where.push(`b.bill_type = $${values.length}`);
+  }
 
-  const votesRes = await fetch(billVotesUrl);
-  if (!votesRes.ok) {
-    const txt = await votesRes.text();
-    console.error(
-      "Error fetching bill votes list:",
-      votesRes.status,
-      txt.slice(0, 200)
-    );
-    return [];
+  if (q && String(q).trim()) {
+    values.push(`%${String(q).trim()}%`);
+    where.push(`b.title ILIKE $${values.length}`);
   }
 
-  const votesData = await votesRes.json();
-  const votes = votesData.votes || [];
-  if (!votes.length) return [];
+  const orderBy = Object.prototype.hasOwnProperty.call(DOCKET_SORTS, sort)
+    ? DOCKET_SORTS[sort]
+    : DOCKET_SORTS.date_desc;
+  const whereSql = where.join(" AND ");
 
-  const primary = votes[0];
+  try {
+    const countResult = await pool.query(
+      `SELECT COUNT(*) AS total FROM bills b WHERE ${whereSql}`,
+      values
+    );
+    const total = parseInt(countResult.rows[0].total, 10) || 0;
 
-  const voteChamber = primary.chamber || billRow.chamber || "House";
-  const rollNumber = primary.rollNumber || primary.roll;
-  const sessionNumber = primary.sessionNumber || primary.session;
+    const result = await pool.query(
+      `
+      SELECT
+        b.id,
+        b.title,
+        b.chamber,
+        b.af_position AS "afPosition",
+        b.bill_date AS "billDate",
+        b.description,
+        b.gov_link AS "govLink",
+        b.congress,
+        b.bill_type AS "billType",
+        b.bill_number AS "billNumber",
+        b.votes_synced AS "votesSynced"
+      FROM bills b
+      WHERE ${whereSql}
+      ORDER BY ${orderBy}
+      LIMIT $${values.length + 1} OFFSET $${values.length + 2};
+    `,
+      [...values, pageSize, offset]
+    );
 
-  if (!rollNumber || !sessionNumber) {
-    console.warn("Vote summary missing roll/session:", primary);
-    return [];
+    res.json({
+      items: result.rows,
+      page,
+      pageSize,
+      total,
+      totalPages: Math.max(1, Math.ceil(total / pageSize)),
+    });
+  } catch (err) {
+    console.error("Error fetching docket bills:", err);
+    res.status(500).json({ error: "Server error" });
   }
+});
 
-  let detailUrl;
-  if (String(voteChamber).toLowerCase().startsWith("house")) {
-    detailUrl = new URL(
-      `https://api.congress.gov/v3/house-vote/${billRow.congress}/${sessionNumber}/${rollNumber}`
-    );
-  } else {
-    detailUrl = new URL(
-      `https://api.congress.gov/v3/senate-vote/${billRow.congress}/${sessionNumber}/${rollNumber}`
-    );
+// rate a bill in the docket and then sync votes
+// Optional rationale replaces the bill's stored one; omit it to keep it.
+app.post("/api/admin/docket/:id/rate", requireAdmin("rater"), async (req, res) => {
+  const { id } = req.params;
+  const { afPosition, rationale } = req.body || {};
+
+  if (!AF_POSITIONS.includes(afPosition)) {
+    return res
+      .status(400)
+      .json({ error: "afPosition must be one of: " + AF_POSITIONS.join(", ") });
   }
-  detailUrl.searchParams.set("api_key", CONGRESS_API_KEY);
-  detailUrl.searchParams.set("format", "json");
 
-  const detailRes = await fetch(detailUrl);
-  if (!detailRes.ok) {
-    const txt = await detailRes.text();
-    console.error(
-      "Error fetching vote detail:",
-      detailRes.status,
-      txt.slice(0, 200)
+  const rationaleText = rationale ? String(rationale).trim() || null : null;
+
+  try {
+    console.log("[docket/rate] rated bill", id, "as", afPosition);
+
+    const before = await loadBillForAudit(pool, id);
+
+    const result = await pool.query(
+      `
+      UPDATE bills
+      SET af_position = $2,
+          af_rationale = CASE WHEN $3::boolean THEN $4 ELSE af_rationale END
+      WHERE id = $1
+      RETURNING
+        id,
+        title,
+        chamber,
+        af_position AS "afPosition",
+        af_rationale AS "afRationale",
+        bill_date AS "billDate",
+        description,
+        gov_link AS "govLink",
+        congress,
+        bill_type AS "billType",
+        bill_number AS "billNumber",
+        votes_synced;
+    `,
+      [id, afPosition, rationale !== undefined, rationaleText]
     );
-    return [];
-  }
 
-  const detail = await detailRes.json();
-  const positions =
-    (detail.votes && detail.votes.votePositions) ||
-    detail.votePositions ||
-    detail.members ||
-    [];
+    if (!result.rows.length) {
+      return res.status(404).json({ error: "Bill not found" });
+    }
+
+    const billRow = result.rows[0];
 
-  return positions.map((p) => ({
-    bioguideId: p.bioguideId || (p.member && p.member.bioguideId) || null,
-    votePosition: p.votePosition || p.position || null,
-  }));
-}
+    await recordAudit(pool, req.admin, {
+      action: "bill.rate",
+      entityType: "bill",
+      entityId: id,
+      before: before && { afPosition: before.afPosition, afRationale: before.afRationale },
+      after: { afPosition: billRow.afPosition, afRationale: billRow.afRationale },
+    });
+
+    // Try to sync votes from Congress.gov (best-effort). Looking up unknown
+    // voters is slow, so that's left to a background members job.
+    let voteSync = null;
+    let memberImportJobId = null;
+    try {
+      voteSync = await syncVotesForBill(billRow.id, { recompute: false, importMembers: false });
+      if (voteSync.unmatchedBioguideIds.length) {
+        const job = await enqueueVoterImport(
+          voteSync.unmatchedBioguideIds,
+          billRow.id,
+          req.admin
+        );
+        memberImportJobId = job.id;
+      }
+    } catch (err) {
+      console.error("Error syncing votes after rating bill:", err);
+    }
+
+    // One pass over everyone with votes on the bill, synced or pre-existing
+    await recomputeScores(await memberIdsForBill(billRow.id), {
+      cause: "bill.rate",
+      billId: billRow.id,
+    });
+
+    // voteSync: the syncVotesForBill summary
+    // or null when Congress.gov couldn't be reached; memberImportJobId: the
+    // members job importing its unmatched voters, if any
+    res.json({ ...billRow, voteSync, memberImportJobId });
+  } catch (err) {
+    console.error("Error rating bill:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// -----------------------------
+//   ROLL CALLS
+// -----------------------------
 
-async function syncVotesForBill(billId) {
+const ROLL_CALL_COLUMNS = `
+  rc.id,
+  rc.bill_id AS "billId",
+  rc.congress,
+  rc.chamber,
+  rc.session_number AS "sessionNumber",
+  rc.roll_number AS "rollNumber",
+  rc.question,
+  rc.vote_date AS "voteDate",
+  rc.result,
+  rc.is_scored AS "isScored",
+  rc.af_vote AS "afVoteOverride",
+  ${ROLL_CALL_AF_VOTE_SQL} AS "afVote"
+`;
+
+// Every roll call on a bill with position counts, oldest first
+async function loadBillRollCalls(billId) {
   const { rows } = await pool.query(
     `
     SELECT
-      id,
-      congress,
-      bill_type,
-      bill_number,
-      chamber
-    FROM bills
-    WHERE id = $1
+      ${ROLL_CALL_COLUMNS},
+      COUNT(*) FILTER (WHERE rcv.position = 'Yea')::int AS "yeaCount",
+      COUNT(*) FILTER (WHERE rcv.position = 'Nay')::int AS "nayCount",
+      COUNT(*) FILTER (WHERE rcv.position = 'Present')::int AS "presentCount",
+      COUNT(*) FILTER (WHERE rcv.position = 'Not Voting')::int AS "notVotingCount"
+    FROM roll_calls rc
+    JOIN bills b ON b.id = rc.bill_id
+    LEFT JOIN roll_call_votes rcv ON rcv.roll_call_id = rc.id
+    WHERE rc.bill_id = $1
+    GROUP BY rc.id, b.af_position
+    ORDER BY rc.vote_date NULLS LAST, rc.roll_number;
   `,
     [billId]
   );
-  if (!rows.length) return;
-  const billRow = rows[0];
+  return rows;
+}
 
-  const positions = await fetchVotePositionsForBill(billRow);
-  if (!positions.length) {
-    console.log("No vote positions found for bill", billId);
-    return;
+app.get("/api/bills/:id/roll-calls", async (req, res) => {
+  const { id } = req.params;
+  if (!UUID_RE.test(id)) {
+    return res.status(404).json({ error: "Bill not found" });
   }
 
-  console.log(
-    `Syncing ${positions.length} vote positions for bill ${billRow.congress} ${billRow.bill_type} ${billRow.bill_number}`
-  );
+  try {
+    res.json(await loadBillRollCalls(id));
+  } catch (err) {
+    console.error("Error fetching roll calls:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-  for (const pos of positions) {
-    if (!pos.bioguideId) continue;
+// Choose whether a roll call counts for scoring and which way is AF-aligned.
+// afVote: "Yea" | "Nay" | null (null = follow the bill's rating)
+app.put("/api/admin/roll-calls/:id", requireAdmin("editor"), async (req, res) => {
+  const { id } = req.params;
+  const body = req.body || {};
 
-    const polRes = await pool.query(
-      "SELECT id FROM politicians WHERE bioguide_id = $1",
-      [pos.bioguideId]
-    );
-    if (!polRes.rows.length) continue;
+  const setClauses = [];
+  const values = [];
+
+  if ("isScored" in body) {
+    values.push(!!body.isScored);
+    setClauses.push(`is_scored = $${values.length}`);
+  }
+
+  if ("afVote" in body) {
+    if (body.afVote !== null && body.afVote !== "Yea" && body.afVote !== "Nay") {
+      return res.status(400).json({ error: "afVote must be Yea, Nay or null" });
+    }
+    values.push(body.afVote);
+    setClauses.push(`af_vote = $${values.length}`);
+  }
+
+  if (!setClauses.length) {
+    return res.status(400).json({ error: "No valid fields to update" });
+  }
+
+  values.push(id);
+
+  const selectRollCall = `
+    SELECT ${ROLL_CALL_COLUMNS}
+    FROM roll_calls rc
+    JOIN bills b ON b.id = rc.bill_id
+    WHERE rc.id = $1
+  `;
 
-    const memberId = polRes.rows[0].id;
-    const vote = normalizeVotePositionToOurVote(pos.votePosition);
+  try {
+    const beforeRes = await pool.query(selectRollCall, [id]);
+    if (!beforeRes.rows.length) {
+      return res.status(404).json({ error: "Roll call not found" });
+    }
 
     await pool.query(
-      `
-      INSERT INTO member_votes (id, member_id, bill_id, vote, is_current_congress)
-      VALUES ($1, $2, $3, $4, $5)
-      ON CONFLICT (member_id, bill_id)
-      DO UPDATE SET
-        vote = EXCLUDED.vote,
-        is_current_congress = EXCLUDED.is_current_congress,
-        created_at = now()
-    `,
-      [
-        crypto.randomUUID(),
-        memberId,
-        billRow.id,
-        vote,
-        billRow.congress === CURRENT_CONGRESS,
-      ]
+      `UPDATE roll_calls SET ${setClauses.join(", ")} WHERE id = $${values.length}`,
+      values
     );
 
-    await recomputeScoresForMember(memberId);
-  }
+    const afterRes = await pool.query(selectRollCall, [id]);
+    const rollCall = afterRes.rows[0];
 
-  await pool.query("UPDATE bills SET votes_synced = TRUE WHERE id = $1", [
-    billRow.id,
-  ]);
-}
+    await recordAudit(pool, req.admin, {
+      action: "roll_call.update",
+      entityType: "roll_call",
+      entityId: id,
+      before: beforeRes.rows[0],
+      after: rollCall,
+    });
+
+    // Anyone who voted on this bill may be scored differently now
+    await recomputeScores(await memberIdsForBill(rollCall.billId), {
+      cause: "roll_call.update",
+      billId: rollCall.billId,
+      rollCallId: id,
+    });
+
+    res.json(rollCall);
+  } catch (err) {
+    console.error("Error updating roll call:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
 // -----------------------------
-//   MEMBERS API
+//   MEMBER <-> BILLS
 // -----------------------------
 
-app.get("/api/members", async (req, res) => {
-  try {
-    const result = await pool.query(
-      `
-      SELECT
-        id,
-        bioguide_id AS "bioguideId",
-        name,
-        chamber,
-        state,
-        party,
-        lifetime_score AS "lifetimeScore",
-        current_score AS "currentScore",
-        image_data AS "imageData",
-        trending,
-        position
-      FROM politicians
-      ORDER BY position NULLS LAST, name ASC;
-    `
-    );
+// A member's voting record, newest bill first, with the roll calls behind
+// each vote. $1 = member id. Also used by the voting record export.
+const MEMBER_VOTING_RECORD_SQL = `
+  SELECT
+    b.id AS "billId",
+    b.title,
+    b.chamber,
+    b.af_position AS "afPosition",
+    b.bill_date AS "billDate",
+    b.description,
+    b.gov_link AS "govLink",
+    b.congress,
+    b.bill_type AS "billType",
+    b.bill_number AS "billNumber",
+    b.weight,
+    b.is_scored AS "isScored",
+    mv.id AS "voteId",
+    mv.vote,
+    mv.position,
+    mv.is_current_congress AS "isCurrent",
+    mv.created_at AS "createdAt",
+    COALESCE((
+      SELECT json_agg(
+        json_build_object(
+          'rollCallId', rc.id,
+          'chamber', rc.chamber,
+          'rollNumber', rc.roll_number,
+          'question', rc.question,
+          'voteDate', rc.vote_date,
+          'result', rc.result,
+          'isScored', rc.is_scored,
+          'afVote', ${ROLL_CALL_AF_VOTE_SQL},
+          'position', rcv.position
+        )
+        ORDER BY rc.vote_date NULLS LAST
+      )
+      FROM roll_calls rc
+      JOIN roll_call_votes rcv
+        ON rcv.roll_call_id = rc.id AND rcv.member_id = mv.member_id
+      WHERE rc.bill_id = b.id
+    ), '[]'::json) AS "rollCalls"
+  FROM member_votes mv
+  JOIN bills b ON mv.bill_id = b.id
+  WHERE mv.member_id = $1
+  ORDER BY b.bill_date DESC NULLS LAST, mv.created_at DESC
+`;
+
+app.get("/api/members/:id/bills", async (req, res) => {
+  const { id } = req.params;
+  try {
+    const result = await pool.query(MEMBER_VOTING_RECORD_SQL, [id]);
     res.json(result.rows);
   } catch (err) {
-    console.error("Error fetching members:", err);
+    console.error("Error fetching member bills:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-app.post("/api/members", requireAdmin, async (req, res) => {
-  try {
-    const {
-      name = "New Member",
-      chamber = "House",
-      state = "",
-      party = "",
-      imageData = null,
-      trending = false,
-      bioguideId = null,
-    } = req.body || {};
+app.post("/api/members/:id/bills", requireAdmin("editor"), async (req, res) => {
+  const { id: memberId } = req.params;
+  const { billId, vote } = req.body || {};
 
-    const { rows } = await pool.query(
-      "SELECT COALESCE(MAX(position), 0) AS maxpos FROM politicians"
-    );
-    const nextPosition = (rows[0].maxpos || 0) + 1;
+  if (!billId || !vote) {
+    return res.status(400).json({ error: "billId and vote are required" });
+  }
 
-    const id = crypto.randomUUID();
+  let isCurrent = null;
+  if (Object.prototype.hasOwnProperty.call(req.body, "isCurrent")) {
+    isCurrent = !!req.body.isCurrent;
+  }
 
-    const insertResult = await pool.query(
+  try {
+    const before = await loadMemberVoteForAudit(pool, memberId, billId);
+
+    const result = await pool.query(
       `
-      INSERT INTO politicians
-        (id, bioguide_id, name, chamber, state, party,
-         lifetime_score, current_score, image_data, trending, position)
-      VALUES
-        ($1, $2, $3, $4, $5, $6,
-         NULL, NULL, $7, $8, $9)
+      INSERT INTO member_votes (id, member_id, bill_id, vote, is_current_congress)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (member_id, bill_id)
+      DO UPDATE SET
+        vote = EXCLUDED.vote,
+        -- a manual override no longer reflects the synced raw position
+        position = CASE
+          WHEN member_votes.vote = EXCLUDED.vote THEN member_votes.position
+        END,
+        is_current_congress = COALESCE(
+          EXCLUDED.is_current_congress,
+          member_votes.is_current_congress
+        ),
+        created_at = now()
       RETURNING
-        id,
-        bioguide_id AS "bioguideId",
-        name,
-        chamber,
-        state,
-        party,
-        lifetime_score AS "lifetimeScore",
-        current_score AS "currentScore",
-        image_data AS "imageData",
-        trending,
-        position;
+        id AS "voteId",
+        member_id AS "memberId",
+        bill_id AS "billId",
+        vote,
+        is_current_congress AS "isCurrent",
+        created_at AS "createdAt";
     `,
-      [
-        id,
-        bioguideId,
-        name,
-        chamber,
-        state,
-        party,
-        imageData,
-        trending,
-        nextPosition,
-      ]
+      [crypto.randomUUID(), memberId, billId, vote, isCurrent]
     );
 
-    res.status(201).json(insertResult.rows[0]);
+    await recordAudit(pool, req.admin, {
+      action: before ? "member_vote.update" : "member_vote.create",
+      entityType: "member_vote",
+      entityId: memberId,
+      before,
+      after: await loadMemberVoteForAudit(pool, memberId, billId),
+    });
+
+    await recomputeScoresForMember(memberId, { cause: "member_vote.set", billId });
+
+    res.json(result.rows[0]);
   } catch (err) {
-    console.error("Error adding member:", err);
+    console.error("Error setting member vote:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-app.put("/api/members/:id", requireAdmin, async (req, res) => {
-  const { id } = req.params;
+app.delete(
+  "/api/members/:id/bills/:billId",
+  requireAdmin("editor"),
+  async (req, res) => {
+    const { id: memberId, billId } = req.params;
 
-  const allowedFields = [
-    "name",
-    "chamber",
-    "state",
-    "party",
-    "imageData",
-    "trending",
-    "position",
-    "bioguideId",
-  ];
+    try {
+      const before = await loadMemberVoteForAudit(pool, memberId, billId);
 
-  const updates = {};
-  for (const key of allowedFields) {
-    if (key in req.body) updates[key] = req.body[key];
-  }
+      const result = await pool.query(
+        `
+        DELETE FROM member_votes
+        WHERE member_id = $1 AND bill_id = $2
+        RETURNING id;
+      `,
+        [memberId, billId]
+      );
 
-  if (Object.keys(updates).length === 0) {
-    return res.status(400).json({ error: "No valid fields to update" });
-  }
+      if (result.rows.length === 0) {
+        return res
+          .status(404)
+          .json({ error: "Vote not found for this member/bill" });
+      }
 
-  const fieldToColumn = {
-    name: "name",
-    chamber: "chamber",
-    state: "state",
-    party: "party",
-    imageData: "image_data",
-    trending: "trending",
-    position: "position",
-    bioguideId: "bioguide_id",
-  };
+      await recordAudit(pool, req.admin, {
+        action: "member_vote.delete",
+        entityType: "member_vote",
+        entityId: memberId,
+        before,
+      });
 
-  const setClauses = [];
-  const values = [];
-  let idx = 1;
+      await recomputeScoresForMember(memberId, { cause: "member_vote.delete", billId });
 
-  for (const [key, value] of Object.entries(updates)) {
-    setClauses.push(`${fieldToColumn[key]} = $${idx++}`);
-    values.push(value);
+      res.json({ success: true });
+    } catch (err) {
+      console.error("Error deleting member vote:", err);
+      res.status(500).json({ error: "Server error" });
+    }
   }
-  values.push(id);
+);
 
-  const query = `
-    UPDATE politicians
-    SET ${setClauses.join(", ")}
-    WHERE id = $${idx}
-    RETURNING
-      id,
-      bioguide_id AS "bioguideId",
-      name,
-      chamber,
-      state,
-      party,
-      lifetime_score AS "lifetimeScore",
-      current_score AS "currentScore",
-      image_data AS "imageData",
-      trending,
-      position;
-  `;
+// -----------------------------
+//   COMPARE
+// -----------------------------
 
-  try {
-    const result = await pool.query(query, values);
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Not found" });
-    }
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error("Error updating member:", err);
-    res.status(500).json({ error: "Server error" });
+const MAX_COMPARE_MEMBERS = 6;
+
+// GET /api/compare?ids=a,b,c  (2–6 member ids)
+//
+// Returns {
+//   members:   [{ id, name, chamber, state, party, lifetimeScore, currentScore, photoUrl }],
+//   bills:     rated bills at least two of them voted on, newest first, each
+//              with votes { memberId: vote } and split = someone Approved while
+//              someone else Opposed,
+//   agreement: [{ memberIds: [a, b], sharedVotes, agreed, agreementRate }],
+//   splitCount
+// }
+// Agreement only counts bills where both members voted Approved or Opposed.
+app.get("/api/compare", async (req, res) => {
+  const ids = [
+    ...new Set(
+      String(req.query.ids || "")
+        .split(",")
+        .map((id) => id.trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+  if (ids.length < 2 || ids.length > MAX_COMPARE_MEMBERS) {
+    return res
+      .status(400)
+      .json({ error: `ids must list between 2 and ${MAX_COMPARE_MEMBERS} member ids` });
+  }
+  if (!ids.every((id) => UUID_RE.test(id))) {
+    return res.status(400).json({ error: "ids must be member ids" });
   }
-});
 
-app.delete("/api/members/:id", requireAdmin, async (req, res) => {
-  const { id } = req.params;
   try {
-    const result = await pool.query(
+    const memberRes = await pool.query(
       `
-      DELETE FROM politicians
-      WHERE id = $1
-      RETURNING
+      SELECT
         id,
-        bioguide_id AS "bioguideId",
         name,
         chamber,
         state,
         party,
+        in_office AS "inOffice",
         lifetime_score AS "lifetimeScore",
         current_score AS "currentScore",
-        image_data AS "imageData",
-        trending,
-        position;
+        participation_rate AS "participationRate",
+        ${memberPhotoUrlSql()} AS "photoUrl"
+      FROM politicians
+      WHERE id = ANY($1::uuid[])
     `,
-      [id]
+      [ids]
     );
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Not found" });
+    const foundIds = new Set(memberRes.rows.map((m) => m.id));
+    const missing = ids.filter((id) => !foundIds.has(id));
+    if (missing.length) {
+      return res.status(404).json({ error: "Members not found: " + missing.join(", ") });
     }
-    res.json(result.rows[0]);
+    // keep the order the ids were given in
+    const members = ids.map((id) => memberRes.rows.find((m) => m.id === id));
+
+    const billRes = await pool.query(
+      `
+      SELECT
+        b.id AS "billId",
+        b.title,
+        b.chamber,
+        b.af_position AS "afPosition",
+        b.bill_date AS "billDate",
+        b.congress,
+        b.bill_type AS "billType",
+        b.bill_number AS "billNumber",
+        b.weight,
+        json_object_agg(mv.member_id, mv.vote) AS votes
+      FROM member_votes mv
+      JOIN bills b ON b.id = mv.bill_id
+      WHERE mv.member_id = ANY($1::uuid[])
+        AND b.af_position IS NOT NULL
+      GROUP BY b.id
+      HAVING COUNT(*) >= 2
+      ORDER BY b.bill_date DESC NULLS LAST, b.title ASC
+    `,
+      [ids]
+    );
+
+    const isYesNo = (vote) => vote === "Approved" || vote === "Opposed";
+    const bills = billRes.rows.map((bill) => {
+      const cast = new Set(Object.values(bill.votes).filter(isYesNo));
+      return { ...bill, split: cast.size > 1 };
+    });
+
+    const agreement = [];
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        let sharedVotes = 0;
+        let agreed = 0;
+        for (const bill of bills) {
+          const a = bill.votes[ids[i]];
+          const b = bill.votes[ids[j]];
+          if (!isYesNo(a) || !isYesNo(b)) continue;
+          sharedVotes++;
+          if (a === b) agreed++;
+        }
+        agreement.push({
+          memberIds: [ids[i], ids[j]],
+          sharedVotes,
+          agreed,
+          agreementRate: sharedVotes ? Math.round((agreed / sharedVotes) * 1000) / 10 : null,
+        });
+      }
+    }
+
+    res.json({
+      members,
+      bills,
+      agreement,
+      splitCount: bills.filter((b) => b.split).length,
+    });
   } catch (err) {
-    console.error("Error deleting member:", err);
+    console.error("Error comparing members:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-app.post("/api/members/reorder", requireAdmin, async (req, res) => {
-  const { ids } = req.body || {};
-  if (!Array.isArray(ids) || ids.length === 0) {
-    return res.status(400).json({ error: "ids array required" });
+// -----------------------------
+//   STATES
+// -----------------------------
+
+// 2-letter code -> display name ("District of Columbia", "New York", ...)
+const STATE_ABBR_TO_NAME = Object.fromEntries(
+  Object.entries(STATE_NAME_TO_ABBR).map(([name, abbr]) => [
+    abbr,
+    name
+      .toLowerCase()
+      .replace(/\b\w/g, (c) => c.toUpperCase())
+      .replace(/ Of /g, " of "),
+  ])
+);
+
+// Every member whose state normalizes to a postal code, optionally only one
+// state. Stored states are mostly codes already, but older rows can hold full
+// names, so grouping happens here rather than in SQL.
+async function loadStateMembers(status, stateCode = null) {
+  const condition = MEMBER_STATUS_FILTERS[status];
+  const result = await pool.query(
+    `
+    SELECT
+      id,
+      name,
+      chamber,
+      state,
+      party,
+      in_office AS "inOffice",
+      lifetime_score AS "lifetimeScore",
+      current_score AS "currentScore",
+      participation_rate AS "participationRate",
+      missed_votes AS "missedVotes",
+      ${memberPhotoUrlSql()} AS "photoUrl",
+      (
+        SELECT COUNT(*)
+        FROM member_votes mv
+        JOIN bills b ON b.id = mv.bill_id
+        WHERE mv.member_id = politicians.id AND b.af_position IS NOT NULL
+      )::int AS "ratedVotes"
+    FROM politicians
+    ${condition ? `WHERE ${condition}` : ""}
+    ORDER BY lifetime_score DESC NULLS LAST, name ASC
+  `
+  );
+
+  const members = [];
+  for (const row of result.rows) {
+    const state = normalizeState(row.state);
+    if (!state || (stateCode && state !== stateCode)) continue;
+    members.push({
+      ...row,
+      state,
+      lifetimeScore: row.lifetimeScore == null ? null : Number(row.lifetimeScore),
+      currentScore: row.currentScore == null ? null : Number(row.currentScore),
+      participationRate: row.participationRate == null ? null : Number(row.participationRate),
+      missedVotes: row.missedVotes || 0,
+    });
   }
+  return members;
+}
 
-  try {
-    const client = await pool.connect();
-    try {
-      await client.query("BEGIN");
+function averageOf(members, key) {
+  const values = members.map((m) => m[key]).filter((v) => v != null);
+  if (!values.length) return null;
+  return Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10;
+}
 
-      for (let i = 0; i < ids.length; i++) {
-        const id = ids[i];
-        const pos = i + 1;
-        await client.query(
-          "UPDATE politicians SET position = $1 WHERE id = $2",
-          [pos, id]
-        );
-      }
+function delegationAverages(members) {
+  return {
+    memberCount: members.length,
+    lifetimeScore: averageOf(members, "lifetimeScore"),
+    currentScore: averageOf(members, "currentScore"),
+    participationRate: averageOf(members, "participationRate"),
+  };
+}
+
+// rows -> { [row[key] or "Unknown"]: rows }
+function groupBy(rows, key) {
+  const groups = {};
+  for (const row of rows) {
+    const value = row[key] || "Unknown";
+    if (!groups[value]) groups[value] = [];
+    groups[value].push(row);
+  }
+  return groups;
+}
+
+function mapGroups(groups, fn) {
+  return Object.fromEntries(Object.entries(groups).map(([key, rows]) => [key, fn(rows)]));
+}
+
+function memberRef(m) {
+  return m
+    ? { id: m.id, name: m.name, chamber: m.chamber, party: m.party, lifetimeScore: m.lifetimeScore }
+    : null;
+}
+
+// Expects members already ordered by lifetime score, best first
+function summarizeDelegation(code, members) {
+  const scored = members.filter((m) => m.lifetimeScore != null);
+  return {
+    code,
+    name: STATE_ABBR_TO_NAME[code] || code,
+    ...delegationAverages(members),
+    byChamber: mapGroups(groupBy(members, "chamber"), delegationAverages),
+    byParty: mapGroups(groupBy(members, "party"), delegationAverages),
+    best: memberRef(scored[0]),
+    worst: memberRef(scored.length > 1 ? scored[scored.length - 1] : null),
+    ratedVotes: members.reduce((sum, m) => sum + m.ratedVotes, 0),
+    missedVotes: members.reduce((sum, m) => sum + m.missedVotes, 0),
+  };
+}
+
+function readMemberStatus(query) {
+  const status = query.status || "current";
+  return isMemberStatus(status) ? status : null;
+}
+
+// GET /api/states?status=current|former|all  (default current)
+//
+// One delegation summary per state, ordered by code:
+// { code, name, memberCount, lifetimeScore, currentScore, participationRate,
+//   byChamber: { House: {...averages}, Senate: {...} }, byParty: { R: {...}, ... },
+//   best, worst, ratedVotes, missedVotes }
+// Averages skip members without a score. ratedVotes counts member votes on
+// rated bills; missedVotes sums each member's scored "Not Voting" count.
+app.get("/api/states", async (req, res) => {
+  const status = readMemberStatus(req.query);
+  if (!status) {
+    return res
+      .status(400)
+      .json({ error: "status must be one of: " + Object.keys(MEMBER_STATUS_FILTERS).join(", ") });
+  }
 
-      await client.query("COMMIT");
-      res.json({ success: true });
-    } catch (err) {
-      await client.query("ROLLBACK");
-      console.error("Error reordering members:", err);
-      res.status(500).json({ error: "Server error" });
-    } finally {
-      client.release();
+  try {
+    const byState = {};
+    for (const m of await loadStateMembers(status)) {
+      if (!byState[m.state]) byState[m.state] = [];
+      byState[m.state].push(m);
     }
+    const states = Object.keys(byState)
+      .sort()
+      .map((code) => summarizeDelegation(code, byState[code]));
+
+    res.json({ states });
   } catch (err) {
-    console.error("Error getting client for reorder:", err);
+    console.error("Error loading states:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-app.get("/api/members/:id", async (req, res) => {
-  const { id } = req.params;
-  try {
-    const result = await pool.query(
-      `
-      SELECT
-        id,
-        bioguide_id AS "bioguideId",
-        name,
-        chamber,
-        state,
-        party,
-        lifetime_score AS "lifetimeScore",
-        current_score AS "currentScore",
-        image_data AS "imageData",
-        trending,
-        position
-      FROM politicians
-      WHERE id = $1
-    `,
-      [id]
-    );
+// GET /api/states/:code?status=current|former|all
+// :code is a postal code or full state name. Same summary as above plus the
+// delegation's members, best score first.
+app.get("/api/states/:code", async (req, res) => {
+  const code = normalizeState(req.params.code);
+  if (!code) {
+    return res.status(400).json({ error: "code must be a state name or 2-letter code" });
+  }
+  const status = readMemberStatus(req.query);
+  if (!status) {
+    return res
+      .status(400)
+      .json({ error: "status must be one of: " + Object.keys(MEMBER_STATUS_FILTERS).join(", ") });
+  }
 
-    if (result.rows.length === 0) {
+  try {
+    const members = await loadStateMembers(status, code);
+    if (!members.length && !STATE_ABBR_TO_NAME[code]) {
       return res.status(404).json({ error: "Not found" });
     }
 
-    res.json(result.rows[0]);
+    res.json({ ...summarizeDelegation(code, members), members });
   } catch (err) {
-    console.error("Error fetching member by id:", err);
+    console.error("Error loading state delegation:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
 // -----------------------------
-//   BILLS (PUBLIC)
+//   STATS
 // -----------------------------
 
-app.get("/api/bills", async (req, res) => {
-  const { chamber } = req.query;
-  try {
-    let result;
-    if (chamber) {
-      result = await pool.query(
-        `
-        SELECT
-          id,
-          title,
-          chamber,
-          af_position AS "afPosition",
-          bill_date AS "billDate",
-          description,
-          gov_link AS "govLink",
-          congress,
-          bill_type AS "billType",
-          bill_number AS "billNumber"
-        FROM bills
-        WHERE chamber = $1 OR chamber IS NULL
-        ORDER BY bill_date DESC NULLS LAST, title ASC;
-      `,
-        [chamber]
-      );
-    } else {
-      result = await pool.query(
-        `
-        SELECT
-          id,
-          title,
-          chamber,
-          af_position AS "afPosition",
-          bill_date AS "billDate",
-          description,
-          gov_link AS "govLink",
-          congress,
-          bill_type AS "billType",
-          bill_number AS "billNumber"
-        FROM bills
-        ORDER BY bill_date DESC NULLS LAST, title ASC;
-      `
-      );
-    }
-    res.json(result.rows);
-  } catch (err) {
-    console.error("Error fetching bills:", err);
-    res.status(500).json({ error: "Server error" });
+const SCORE_BUCKET_SIZE = 10;
+
+// Weighted AF alignment per member for each of the given congresses ($1),
+// using the same rules as RECOMPUTE_SCORES_SQL ($2 = missed vote policy).
+// Chamber and party are the member's current ones.
+const CONGRESS_SCORES_SQL = `
+  WITH ${scoredVotesCtes({
+    where: ({ congress }) => `${congress} = ANY($1::int[])`,
+    missedVotePolicy: "$2",
+  })}
+  SELECT
+    s.member_id AS "memberId",
+    s.congress,
+    p.chamber,
+    p.party,
+    ROUND((
+      COALESCE(SUM(s.weight) FILTER (WHERE s.aligned), 0)
+      / NULLIF(SUM(s.weight), 0) * 100
+    )::numeric, 4) AS score
+  FROM scored s
+  JOIN politicians p ON p.id = s.member_id
+  GROUP BY s.member_id, s.congress, p.chamber, p.party
+`;
+
+const roundTo1 = (value) => (value == null ? null : Math.round(value * 10) / 10);
+
+function median(sorted) {
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// { count, mean, median, histogram: [{ min, max, count }] } over 0–100 scores.
+// Buckets are [min, max) except the last, which includes 100.
+function scoreDistribution(scores) {
+  const values = scores.filter((v) => v != null).map(Number).sort((a, b) => a - b);
+  const histogram = [];
+  for (let min = 0; min < 100; min += SCORE_BUCKET_SIZE) {
+    histogram.push({ min, max: min + SCORE_BUCKET_SIZE, count: 0 });
   }
-});
+  for (const value of values) {
+    const index = Math.min(Math.floor(value / SCORE_BUCKET_SIZE), histogram.length - 1);
+    histogram[Math.max(index, 0)].count++;
+  }
+  return {
+    count: values.length,
+    mean: values.length ? roundTo1(values.reduce((a, b) => a + b, 0) / values.length) : null,
+    median: roundTo1(median(values)),
+    histogram,
+  };
+}
 
-app.post("/api/bills", requireAdmin, async (req, res) => {
-  try {
-    const {
-      title,
-      chamber = null,
-      afPosition = null,
-      billDate = null,
-      description = null,
-      govLink = null,
-      congress = null,
-      billType = null,
-      billNumber = null,
-    } = req.body || {};
+function memberScoreStats(members) {
+  return {
+    memberCount: members.length,
+    lifetime: scoreDistribution(members.map((m) => m.lifetimeScore)),
+    current: scoreDistribution(members.map((m) => m.currentScore)),
+  };
+}
 
-    if (!title) {
-      return res.status(400).json({ error: "Title is required" });
-    }
+// from/to summaries of per-congress scores plus the change in mean and median
+function congressScoreChange(rows, from, to) {
+  const summarize = (congress) => {
+    const { count, mean, median: med } = scoreDistribution(
+      rows.filter((r) => r.congress === congress).map((r) => r.score)
+    );
+    return { count, mean, median: med };
+  };
+  const a = summarize(from);
+  const b = summarize(to);
+  return {
+    from: a,
+    to: b,
+    meanChange: a.mean != null && b.mean != null ? roundTo1(b.mean - a.mean) : null,
+    medianChange: a.median != null && b.median != null ? roundTo1(b.median - a.median) : null,
+  };
+}
 
-    const id = crypto.randomUUID();
-    const insertResult = await pool.query(
-      `
-      INSERT INTO bills
-        (id, title, chamber, af_position, bill_date, description, gov_link,
-         congress, bill_type, bill_number, votes_synced)
-      VALUES
-        ($1, $2, $3, $4, $5, $6, $7,
-         $8, $9, $10, FALSE)
-      RETURNING
-        id,
-        title,
-        chamber,
-        af_position AS "afPosition",
-        bill_date AS "billDate",
-        description,
-        gov_link AS "govLink",
-        congress,
-        bill_type AS "billType",
-        bill_number AS "billNumber";
-    `,
-      [
-        id,
-        title,
+function readCongressParam(raw, fallback) {
+  if (raw === undefined || raw === "") return fallback;
+  const value = parseInt(raw, 10);
+  return value > 0 ? value : null;
+}
+
+// GET /api/stats?status=current|former|all&from=117&to=118
+//
+// Returns {
+//   members:    { memberCount, lifetime, current, byParty: {...}, byChamber: {...} }
+//               where lifetime / current are { count, mean, median, histogram }
+//               (histogram = 10-point buckets of members' stored scores),
+//   ratedBills: { total, byPosition: { "America First": n, ... },
+//                 byCongress: [{ congress, total, byPosition }] },
+//   congressChange: { from, to, ratedBills: { from, to, change },
+//                     scores: { overall, byParty, byChamber } }
+// }
+// congressChange compares scores computed from each congress's votes alone
+// (not the stored lifetime/current scores). from / to default to the last
+// two completed congresses.
+app.get("/api/stats", async (req, res) => {
+  const status = readMemberStatus(req.query);
+  if (!status) {
+    return res
+      .status(400)
+      .json({ error: "status must be one of: " + Object.keys(MEMBER_STATUS_FILTERS).join(", ") });
+  }
+  const current = getCurrentCongress();
+  const from = readCongressParam(req.query.from, current - 2);
+  const to = readCongressParam(req.query.to, current - 1);
+  if (!from || !to) {
+    return res.status(400).json({ error: "from and to must be congress numbers" });
+  }
+
+  try {
+    const condition = MEMBER_STATUS_FILTERS[status];
+    const memberRes = await pool.query(`
+      SELECT
         chamber,
-        afPosition,
-        billDate,
-        description,
-        govLink,
-        congress,
-        billType,
-        billNumber,
-      ]
-    );
+        party,
+        lifetime_score AS "lifetimeScore",
+        current_score AS "currentScore"
+      FROM politicians
+      ${condition ? `WHERE ${condition}` : ""}
+    `);
+    const members = memberRes.rows;
 
-    res.status(201).json(insertResult.rows[0]);
+    const billRes = await pool.query(`
+      SELECT congress, af_position AS "afPosition", COUNT(*)::int AS count
+      FROM bills
+      WHERE af_position IS NOT NULL
+      GROUP BY congress, af_position
+      ORDER BY congress NULLS LAST
+    `);
+    const byPosition = {};
+    const byCongress = new Map();
+    let total = 0;
+    for (const row of billRes.rows) {
+      total += row.count;
+      byPosition[row.afPosition] = (byPosition[row.afPosition] || 0) + row.count;
+      if (!byCongress.has(row.congress)) {
+        byCongress.set(row.congress, { congress: row.congress, total: 0, byPosition: {} });
+      }
+      const entry = byCongress.get(row.congress);
+      entry.total += row.count;
+      entry.byPosition[row.afPosition] = row.count;
+    }
+    const billsIn = (congress) => byCongress.get(congress)?.total || 0;
+
+    const scoreRes = await pool.query(CONGRESS_SCORES_SQL, [[from, to], missedVotePolicy]);
+    const congressScores = scoreRes.rows
+      .filter((r) => r.score != null)
+      .map((r) => ({ ...r, score: Number(r.score) }));
+
+    res.json({
+      members: {
+        ...memberScoreStats(members),
+        byParty: mapGroups(groupBy(members, "party"), memberScoreStats),
+        byChamber: mapGroups(groupBy(members, "chamber"), memberScoreStats),
+      },
+      ratedBills: {
+        total,
+        byPosition,
+        byCongress: [...byCongress.values()],
+      },
+      congressChange: {
+        from,
+        to,
+        ratedBills: { from: billsIn(from), to: billsIn(to), change: billsIn(to) - billsIn(from) },
+        scores: {
+          overall: congressScoreChange(congressScores, from, to),
+          byParty: mapGroups(groupBy(congressScores, "party"), (rows) =>
+            congressScoreChange(rows, from, to)
+          ),
+          byChamber: mapGroups(groupBy(congressScores, "chamber"), (rows) =>
+            congressScoreChange(rows, from, to)
+          ),
+        },
+      },
+    });
   } catch (err) {
-    console.error("Error creating bill:", err);
+    console.error("Error loading stats:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-app.put("/api/bills/:id", requireAdmin, async (req, res) => {
-  const { id } = req.params;
-
-  const allowedFields = [
-    "title",
-    "chamber",
-    "afPosition",
-    "billDate",
-    "description",
-    "govLink",
-    "congress",
-    "billType",
-    "billNumber",
-  ];
+// -----------------------------
+//   EXPORTS (CSV / JSON)
+// -----------------------------
 
-  const updates = {};
-  for (const key of allowedFields) {
-    if (key in req.body) updates[key] = req.body[key];
+// ?format=csv (default) or json. Each export takes the same filters as the
+// list endpoint it mirrors and is served as a download.
+const EXPORT_FORMATS = ["csv", "json"];
+
+// Quote a CSV field when needed. Text that a spreadsheet would run as a
+// formula (=, +, -, @, or a leading tab / carriage return) is prefixed with
+// an apostrophe; negative numbers are left alone.
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (
+    typeof value === "string" &&
+    (/^[\t\r]/.test(text) || (/^[=+\-@]/.test(text) && Number.isNaN(Number(text))))
+  ) {
+    text = "'" + text;
   }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-  if (Object.keys(updates).length === 0) {
-    return res.status(400).json({ error: "No valid fields to update" });
+// columns: [{ header, value: (row) => ... }]
+function toCsv(columns, rows) {
+  const lines = [columns.map((c) => csvField(c.header)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvField(c.value(row))).join(","));
   }
+  return lines.join("\r\n") + "\r\n";
+}
 
-  const fieldToColumn = {
-    title: "title",
-    chamber: "chamber",
-    afPosition: "af_position",
-    billDate: "bill_date",
-    description: "description",
-    govLink: "gov_link",
-    congress: "congress",
-    billType: "bill_type",
-    billNumber: "bill_number",
-  };
-
-  const setClauses = [];
-  const values = [];
-  let idx = 1;
+function exportFilename(name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return `afscorecard-${slug}-${new Date().toISOString().slice(0, 10)}`;
+}
 
-  for (const [key, value] of Object.entries(updates)) {
-    setClauses.push(`${fieldToColumn[key]} = $${idx++}`);
-    values.push(value);
+function sendExport(res, format, name, columns, rows) {
+  const filename = `${exportFilename(name)}.${format}`;
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  if (format === "json") {
+    return res.json(rows);
   }
-  values.push(id);
-
-  const query = `
-    UPDATE bills
-    SET ${setClauses.join(", ")}
-    WHERE id = $${idx}
-    RETURNING
-      id,
-      title,
-      chamber,
-      af_position AS "afPosition",
-      bill_date AS "billDate",
-      description,
-      gov_link AS "govLink",
-      congress,
-      bill_type AS "billType",
-      bill_number AS "billNumber";
-  `;
-
-  try {
-    const result = await pool.query(query, values);
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Bill not found" });
-    }
+  res.type("text/csv; charset=utf-8");
+  // BOM so Excel reads the file as UTF-8
+  res.send("\uFEFF" + toCsv(columns, rows));
+}
 
-    const mRes = await pool.query(
-      `SELECT DISTINCT member_id FROM member_votes WHERE bill_id = $1`,
-      [id]
-    );
-    for (const row of mRes.rows) {
-      await recomputeScoresForMember(row.member_id);
-    }
+function exportFormat(req) {
+  const format = String(req.query.format || "csv").toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+}
 
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error("Error updating bill:", err);
-    res.status(500).json({ error: "Server error" });
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+const SCORECARD_EXPORT_COLUMNS = [
+  { header: "Name", value: (m) => m.name },
+  { header: "Bioguide ID", value: (m) => m.bioguideId },
+  { header: "Chamber", value: (m) => m.chamber },
+  { header: "State", value: (m) => m.state },
+  { header: "Party", value: (m) => m.party },
+  { header: "In Office", value: (m) => (m.inOffice ? "Yes" : "No") },
+  { header: "Lifetime Score (%)", value: (m) => m.lifetimeScore },
+  { header: "Lifetime Grade", value: (m) => m.lifetimeGrade },
+  { header: "Current Congress Score (%)", value: (m) => m.currentScore },
+  { header: "Current Congress Grade", value: (m) => m.currentGrade },
+  { header: "Participation (%)", value: (m) => m.participationRate },
+  { header: "Missed Votes", value: (m) => m.missedVotes },
+  { header: "Term Start", value: (m) => formatDate(m.termStart) },
+  { header: "Term End", value: (m) => formatDate(m.termEnd) },
+];
+
+// GET /api/export/scorecard?format=csv|json  + any GET /api/members filter
+// (status, q, chamber, state, party, score ranges, sort); never paginated.
+app.get("/api/export/scorecard", async (req, res) => {
+  const format = exportFormat(req);
+  if (!format) {
+    return res.status(400).json({ error: "format must be one of: " + EXPORT_FORMATS.join(", ") });
+  }
+  const filters = buildMemberListFilters(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
   }
-});
 
-app.delete("/api/bills/:id", requireAdmin, async (req, res) => {
-  const { id } = req.params;
   try {
-    const mRes = await pool.query(
-      `SELECT DISTINCT member_id FROM member_votes WHERE bill_id = $1`,
-      [id]
-    );
-
-    const result = await pool.query(
+    const { rows } = await pool.query(
       `
-      DELETE FROM bills
-      WHERE id = $1
-      RETURNING
+      SELECT
         id,
-        title,
-        chamber,
-        af_position AS "afPosition",
-        bill_date AS "billDate",
-        description,
-        gov_link AS "govLink";
+        bioguide_id AS "bioguideId",
+        name,
+        chamber,
+        state,
+        party,
+        in_office AS "inOffice",
+        term_start AS "termStart",
+        term_end AS "termEnd",
+        lifetime_score AS "lifetimeScore",
+        current_score AS "currentScore",
+        participation_rate AS "participationRate",
+        missed_votes AS "missedVotes",
+        scored_votes AS "scoredVotes",
+        current_scored_votes AS "currentScoredVotes"
+      FROM politicians
+      ${filters.whereSql}
+      ORDER BY ${filters.orderBy};
     `,
-      [id]
+      filters.values
     );
+    sendExport(res, format, "scorecard", SCORECARD_EXPORT_COLUMNS, rows.map(withGrades));
+  } catch (err) {
+    console.error("Error exporting scorecard:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Bill not found" });
-    }
+const VOTING_RECORD_EXPORT_COLUMNS = [
+  { header: "Bill Date", value: (v) => formatDate(v.billDate) },
+  { header: "Congress", value: (v) => v.congress },
+  { header: "Bill Type", value: (v) => v.billType },
+  { header: "Bill Number", value: (v) => v.billNumber },
+  { header: "Title", value: (v) => v.title },
+  { header: "Chamber", value: (v) => v.chamber },
+  { header: "America First Position", value: (v) => v.afPosition },
+  { header: "Weight", value: (v) => v.weight },
+  { header: "Scored", value: (v) => (v.isScored ? "Yes" : "No") },
+  { header: "Vote", value: (v) => v.vote },
+  { header: "Recorded Position", value: (v) => v.position },
+  { header: "Current Congress", value: (v) => (v.isCurrent ? "Yes" : "No") },
+  {
+    header: "Roll Calls",
+    value: (v) =>
+      v.rollCalls
+        .map((rc) => `${rc.chamber || ""} roll ${rc.rollNumber} (${rc.position || "?"})`.trim())
+        .join("; "),
+  },
+  { header: "Link", value: (v) => v.govLink },
+];
+
+// GET /api/export/members/:id/voting-record?format=csv|json
+// Same rows as GET /api/members/:id/bills.
+app.get("/api/export/members/:id/voting-record", async (req, res) => {
+  const { id } = req.params;
+  const format = exportFormat(req);
+  if (!format) {
+    return res.status(400).json({ error: "format must be one of: " + EXPORT_FORMATS.join(", ") });
+  }
 
-    for (const row of mRes.rows) {
-      await recomputeScoresForMember(row.member_id);
+  try {
+    const memberRes = await pool.query("SELECT name FROM politicians WHERE id = $1", [id]);
+    if (memberRes.rows.length === 0) {
+      return res.status(404).json({ error: "Not found" });
     }
 
-    res.json(result.rows[0]);
+    const { rows } = await pool.query(MEMBER_VOTING_RECORD_SQL, [id]);
+    sendExport(
+      res,
+      format,
+      `${memberRes.rows[0].name || "member"} voting record`,
+      VOTING_RECORD_EXPORT_COLUMNS,
+      rows
+    );
   } catch (err) {
-    console.error("Error deleting bill:", err);
+    console.error("Error exporting voting record:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// -----------------------------
-//   ADMIN DOCKET (simple, array)
-// -----------------------------
-
-// GET /api/admin/docket?limit=200
-// Returns an array of bills where af_position IS NULL,
-// ordered by date (matches your current index.html expectations).
-app.get("/api/admin/docket", requireAdmin, async (req, res) => {
-  const limitRaw = parseInt(req.query.limit || "200", 10);
-  const limit = Math.min(Math.max(limitRaw || 200, 1), 1000);
+const BILLS_EXPORT_COLUMNS = [
+  { header: "Bill Date", value: (b) => formatDate(b.billDate) },
+  { header: "Congress", value: (b) => b.congress },
+  { header: "Bill Type", value: (b) => b.billType },
+  { header: "Bill Number", value: (b) => b.billNumber },
+  { header: "Title", value: (b) => b.title },
+  { header: "Chamber", value: (b) => b.chamber },
+  { header: "America First Position", value: (b) => b.afPosition },
+  { header: "Rationale", value: (b) => b.afRationale },
+  { header: "Weight", value: (b) => b.weight },
+  { header: "Scored", value: (b) => (b.isScored ? "Yes" : "No") },
+  { header: "Description", value: (b) => b.description },
+  { header: "Link", value: (b) => b.govLink },
+];
+
+// GET /api/export/bills?format=csv|json&chamber=House|Senate
+// Rated bills only (those with an America First position), filtered like
+// GET /api/bills.
+app.get("/api/export/bills", async (req, res) => {
+  const format = exportFormat(req);
+  if (!format) {
+    return res.status(400).json({ error: "format must be one of: " + EXPORT_FORMATS.join(", ") });
+  }
+  const { chamber } = req.query;
 
   try {
-    const result = await pool.query(
+    const { rows } = await pool.query(
       `
       SELECT
         id,
         title,
         chamber,
         af_position AS "afPosition",
+        af_rationale AS "afRationale",
         bill_date AS "billDate",
         description,
         gov_link AS "govLink",
         congress,
         bill_type AS "billType",
-        bill_number AS "billNumber"
+        bill_number AS "billNumber",
+        weight,
+        is_scored AS "isScored"
       FROM bills
-      WHERE af_position IS NULL
-      ORDER BY bill_date DESC NULLS LAST, title ASC
-      LIMIT $1;
+      WHERE af_position IS NOT NULL
+        AND ($1::text IS NULL OR chamber = $1 OR chamber IS NULL)
+      ORDER BY bill_date DESC NULLS LAST, title ASC;
     `,
-      [limit]
+      [chamber || null]
     );
-
-    res.json(result.rows);
+    sendExport(res, format, "rated bills", BILLS_EXPORT_COLUMNS, rows);
   } catch (err) {
-    console.error("Error fetching docket bills:", err);
+    console.error("Error exporting bills:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-// rate a bill in the docket and then sync votes
-app.post("/api/admin/docket/:id/rate", requireAdmin, async (req, res) => {
-  const { id } = req.params;
-  const { afPosition } = req.body || {};
+// -----------------------------
+//   BULK IMPORT (admin)
+// -----------------------------
 
-  const allowed = ["America First", "Neither", "Anti-America First"];
-  if (!allowed.includes(afPosition)) {
-    return res
-      .status(400)
-      .json({ error: "afPosition must be one of: " + allowed.join(", ") });
+// POST /api/admin/import/ratings  (rater; weight/isScored need editor)
+// POST /api/admin/import/votes    (editor)
+//
+// Body: { csv: "<file text>" } or { rows: [{ ... }] }, plus
+//   dryRun    – default true: only report what would happen
+//   overwrite – also apply rows that conflict with what's stored
+//
+// Column names are matched loosely ("Bill Type", "billType" and "bill_type"
+// are the same), so our own CSV exports can be edited and fed back in.
+// Returns { dryRun, overwrite, summary, rows }; each row is
+//   { row, status: new|unchanged|conflict|error, apply, message, ... }
+const MAX_IMPORT_ROWS = 5000;
+// Export-style rows are ~250 bytes; leave room for wide or verbose files
+const MAX_IMPORT_BODY_BYTES = MAX_IMPORT_ROWS * 1024;
+
+const parseImportBody = express.json({ limit: MAX_IMPORT_BODY_BYTES });
+
+function readImportBody(req, res, next) {
+  parseImportBody(req, res, (err) => {
+    if (err && err.type === "entity.too.large") {
+      return res.status(413).json({
+        error: `Import file is too large (max ${MAX_IMPORT_BODY_BYTES / (1024 * 1024)} MB)`,
+      });
+    }
+    if (err) {
+      return res.status(400).json({ error: "Could not read import body" });
+    }
+    next();
+  });
+}
+
+// RFC 4180: quoted fields, doubled quotes, CRLF or LF line breaks.
+// Returns an array of records, each an array of strings.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
   }
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  // drop blank lines
+  return records.filter((r) => r.some((f) => f.trim() !== ""));
+}
 
-  try {
-    console.log("[docket/rate] rated bill", id, "as", afPosition);
+const importKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Request body -> { records: [{ row, fields }] } with loosely-keyed fields,
+// or { error }
+function readImportRecords(body) {
+  const { csv, rows } = body || {};
+  let records;
+
+  if (typeof csv === "string") {
+    const [header, ...lines] = parseCsv(csv);
+    if (!header) return { error: "CSV is empty" };
+    const keys = header.map(importKey);
+    records = lines.map((values, i) => ({
+      row: i + 2, // line 1 is the header
+      fields: Object.fromEntries(keys.map((k, j) => [k, (values[j] || "").trim()])),
+    }));
+  } else if (Array.isArray(rows)) {
+    records = rows.map((r, i) => ({
+      row: i + 1,
+      fields: Object.fromEntries(
+        Object.entries(r && typeof r === "object" ? r : {}).map(([k, v]) => [
+          importKey(k),
+          typeof v === "string" ? v.trim() : v,
+        ])
+      ),
+    }));
+  } else {
+    return { error: "Provide csv (file text) or rows (array of objects)" };
+  }
 
-    const result = await pool.query(
-      `
-      UPDATE bills
-      SET af_position = $2
-      WHERE id = $1
-      RETURNING
-        id,
-        title,
-        chamber,
-        af_position AS "afPosition",
-        bill_date AS "billDate",
-        description,
-        gov_link AS "govLink",
-        congress,
-        bill_type AS "billType",
-        bill_number AS "billNumber",
-        votes_synced;
-    `,
-      [id, afPosition]
-    );
+  if (records.length === 0) return { error: "No rows to import" };
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once` };
+  }
+  return { records };
+}
 
-    if (!result.rows.length) {
-      return res.status(404).json({ error: "Bill not found" });
+// First non-empty value among the given (already loosened) column names
+function importField(fields, names) {
+  for (const name of names) {
+    const value = fields[name];
+    if (value !== undefined && value !== null && value !== "") return value;
+  }
+  return undefined;
+}
+
+function parseImportBoolean(value) {
+  if (value === undefined) return undefined;
+  if (typeof value === "boolean") return value;
+  const v = String(value).trim().toLowerCase();
+  if (["yes", "y", "true", "1"].includes(v)) return true;
+  if (["no", "n", "false", "0"].includes(v)) return false;
+  return null;
+}
+
+function normalizeAfPosition(value) {
+  const v = String(value || "").toLowerCase().replace(/[^a-z]/g, "");
+  if (v === "americafirst" || v === "af") return "America First";
+  if (v === "antiamericafirst" || v === "anti" || v === "antiaf") return "Anti-America First";
+  if (v === "neither" || v === "neutral") return "Neither";
+  return null;
+}
+
+// congress / type / number columns -> { congress, billType, billNumber } or { error }
+function readImportBillKey(fields) {
+  const congress = parseInt(importField(fields, ["congress"]), 10);
+  const billType = String(importField(fields, ["billtype", "type"]) || "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  const billNumber = parseInt(importField(fields, ["billnumber", "number"]), 10);
+  if (!congress || !billType || !billNumber) {
+    return { error: "congress, billType and billNumber are required" };
+  }
+  return { congress, billType, billNumber };
+}
+
+const billKeyString = (k) => `${k.congress}-${k.billType}-${k.billNumber}`;
+
+async function findBillsByKeys(db, keys) {
+  if (!keys.length) return new Map();
+  const { rows } = await db.query(
+    `
+    SELECT
+      b.id,
+      b.title,
+      b.congress,
+      lower(b.bill_type) AS "billType",
+      b.bill_number AS "billNumber",
+      b.af_position AS "afPosition",
+      b.weight,
+      b.is_scored AS "isScored"
+    FROM bills b
+    JOIN unnest($1::int[], $2::text[], $3::int[]) AS k(congress, bill_type, bill_number)
+      ON b.congress = k.congress
+     AND lower(b.bill_type) = k.bill_type
+     AND b.bill_number = k.bill_number
+  `,
+    [keys.map((k) => k.congress), keys.map((k) => k.billType), keys.map((k) => k.billNumber)]
+  );
+  return new Map(rows.map((b) => [billKeyString(b), b]));
+}
+
+function summarizeImport(rows) {
+  const summary = { total: rows.length, new: 0, unchanged: 0, conflict: 0, error: 0, toApply: 0 };
+  for (const r of rows) {
+    summary[r.status]++;
+    if (r.apply) summary.toApply++;
+  }
+  return summary;
+}
+
+// Match rating rows against the bills table. Columns: congress, billType,
+// billNumber, afPosition, optional weight and isScored.
+async function planRatingImport(records, { overwrite, canEditScoring }) {
+  const parsed = records.map(({ row, fields }) => {
+    const key = readImportBillKey(fields);
+    if (key.error) return { row, error: key.error };
+
+    const rawPosition = importField(fields, ["afposition", "americafirstposition", "rating"]);
+    const afPosition = normalizeAfPosition(rawPosition);
+    if (!afPosition) {
+      return { row, key, error: `afPosition must be one of: ${AF_POSITIONS.join(", ")}` };
     }
 
-    const billRow = result.rows[0];
+    const scoring = {};
+    const weight = importField(fields, ["weight"]);
+    if (weight !== undefined) scoring.weight = Number(weight);
+    const isScored = parseImportBoolean(importField(fields, ["isscored", "scored"]));
+    if (isScored !== undefined) scoring.isScored = isScored;
+
+    const scoringError = validateBillScoringFields(scoring);
+    if (scoringError) return { row, key, error: scoringError };
+
+    return { row, key, afPosition, ...scoring };
+  });
+
+  const bills = await findBillsByKeys(
+    pool,
+    parsed.filter((p) => p.key && !p.error).map((p) => p.key)
+  );
+
+  const seen = new Map();
+  return parsed.map((p) => {
+    const base = { row: p.row, bill: p.key ? billKeyString(p.key) : null, apply: false };
+    if (p.error) return { ...base, status: "error", message: p.error };
+
+    const bill = bills.get(billKeyString(p.key));
+    if (!bill) return { ...base, status: "error", message: "No bill with that congress/type/number" };
+
+    const keyStr = billKeyString(p.key);
+    if (seen.has(keyStr)) {
+      return { ...base, status: "error", message: `Duplicate of row ${seen.get(keyStr)}` };
+    }
+    seen.set(keyStr, p.row);
+
+    const before = { afPosition: bill.afPosition, weight: bill.weight, isScored: bill.isScored };
+    const after = {
+      afPosition: p.afPosition,
+      weight: p.weight !== undefined ? p.weight : bill.weight,
+      isScored: p.isScored !== undefined ? p.isScored : bill.isScored,
+    };
+    const result = { ...base, billId: bill.id, title: bill.title, before, after };
+
+    // Raters may re-import an export as-is; only changing the scoring needs an editor
+    const scoringChanged =
+      Number(before.weight) !== Number(after.weight) || before.isScored !== after.isScored;
+    if (scoringChanged && !canEditScoring) {
+      return {
+        ...result,
+        status: "error",
+        message: "weight and isScored can only be changed by editors",
+      };
+    }
+
+    const changed = before.afPosition !== after.afPosition || scoringChanged;
+    if (!changed) return { ...result, status: "unchanged" };
+    if (bill.afPosition === null) return { ...result, status: "new", apply: true };
+    return {
+      ...result,
+      status: "conflict",
+      apply: overwrite,
+      message: overwrite ? "Will overwrite the stored rating" : "Already rated differently; skipped",
+    };
+  });
+}
+
+app.post(
+  "/api/admin/import/ratings",
+  requireAdmin("rater"),
+  readImportBody,
+  async (req, res) => {
+    const { records, error } = readImportRecords(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const dryRun = req.body.dryRun !== false;
+    const overwrite = !!req.body.overwrite;
+    const canEditScoring =
+      ADMIN_ROLES.indexOf(req.admin.role) >= ADMIN_ROLES.indexOf("editor");
 
-    // Try to sync votes from Congress.gov (best-effort)
     try {
-      await syncVotesForBill(billRow.id);
+      const rows = await planRatingImport(records, { overwrite, canEditScoring });
+      const summary = summarizeImport(rows);
+      const toApply = rows.filter((r) => r.apply);
+
+      if (dryRun || toApply.length === 0) {
+        return res.json({ dryRun, overwrite, summary, rows });
+      }
+
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        for (const r of toApply) {
+          const before = await loadBillForAudit(client, r.billId);
+          await client.query(
+            "UPDATE bills SET af_position = $2, weight = $3, is_scored = $4 WHERE id = $1",
+            [r.billId, r.after.afPosition, r.after.weight, r.after.isScored]
+          );
+          await recordAudit(client, req.admin, {
+            action: "bill.import_rating",
+            entityType: "bill",
+            entityId: r.billId,
+            before,
+            after: await loadBillForAudit(client, r.billId),
+          });
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
+      }
+
+      const memberIds = new Set();
+      for (const r of toApply) {
+        (await memberIdsForBill(r.billId)).forEach((id) => memberIds.add(id));
+      }
+      await recomputeScores([...memberIds], { cause: "import.ratings" });
+
+      // Newly rated bills still need their roll calls from Congress.gov
+      let voteSyncJobId = null;
+      if (toApply.some((r) => r.before.afPosition === null)) {
+        const { job } = await enqueueJob("votes", {}, req.admin);
+        voteSyncJobId = job.id;
+      }
+
+      res.json({ dryRun, overwrite, summary, applied: toApply.length, voteSyncJobId, rows });
     } catch (err) {
-      console.error("Error syncing votes after rating bill:", err);
+      console.error("Error importing ratings:", err);
+      res.status(500).json({ error: "Server error" });
     }
+  }
+);
 
-    // Recompute scores for any members that already have votes recorded
-    const mRes = await pool.query(
-      `SELECT DISTINCT member_id FROM member_votes WHERE bill_id = $1`,
-      [billRow.id]
-    );
-    for (const row of mRes.rows) {
-      await recomputeScoresForMember(row.member_id);
+// Match vote rows against politicians (by bioguide id) and bills (by id or
+// congress/type/number). vote takes our values (Approved / Opposed /
+// Abstained) or a roll-call position (Yea, Nay, Present, Not Voting); an
+// optional position / recordedPosition column carries the roll-call position
+// alongside our value, as in the voting-record export. Without one, the
+// stored position is kept.
+async function planVoteImport(records, { overwrite }) {
+  const OUR_VOTES = ["approved", "opposed", "abstained"];
+  const POSITIONS = ["Yea", "Nay", "Present", "Not Voting"];
+
+  const parsed = records.map(({ row, fields }) => {
+    const bioguideId = String(importField(fields, ["bioguideid", "bioguide"]) || "").toUpperCase();
+    if (!bioguideId) return { row, error: "bioguideId is required" };
+
+    const billId = String(importField(fields, ["billid"]) || "").toLowerCase() || null;
+    let key = null;
+    if (!billId) {
+      key = readImportBillKey(fields);
+      if (key.error) return { row, bioguideId, error: "billId or " + key.error };
     }
 
-    res.json(billRow);
-  } catch (err) {
-    console.error("Error rating bill:", err);
-    res.status(500).json({ error: "Server error" });
-  }
-});
+    const rawVote = String(importField(fields, ["vote"]) || "");
+    const rawPosition = String(importField(fields, ["position", "recordedposition"]) || "");
+    if (!rawVote && !rawPosition) return { row, bioguideId, error: "vote is required" };
+    const isOurVote = OUR_VOTES.includes(rawVote.toLowerCase());
+    if (rawVote && !isOurVote && !POSITIONS.includes(normalizeRollCallPosition(rawVote))) {
+      return { row, bioguideId, error: `Unrecognized vote "${rawVote}"` };
+    }
+    const positionSource = rawPosition || (isOurVote ? "" : rawVote);
+    const position = positionSource ? normalizeRollCallPosition(positionSource) : null;
+    if (positionSource && !POSITIONS.includes(position)) {
+      return { row, bioguideId, error: `Unrecognized position "${positionSource}"` };
+    }
+    const vote = isOurVote
+      ? rawVote[0].toUpperCase() + rawVote.slice(1).toLowerCase()
+      : normalizeVotePositionToOurVote(position);
 
-// -----------------------------
-//   MEMBER <-> BILLS
-// -----------------------------
+    const isCurrent = parseImportBoolean(importField(fields, ["iscurrent", "currentcongress"]));
+    if (isCurrent === null) return { row, bioguideId, error: "isCurrent must be yes or no" };
 
-app.get("/api/members/:id/bills", async (req, res) => {
-  const { id } = req.params;
-  try {
-    const result = await pool.query(
-      `
-      SELECT
-        b.id AS "billId",
-        b.title,
-        b.chamber,
-        b.af_position AS "afPosition",
-        b.bill_date AS "billDate",
-        b.description,
-        b.gov_link AS "govLink",
-        b.congress,
-        b.bill_type AS "billType",
-        b.bill_number AS "billNumber",
-        mv.id AS "voteId",
-        mv.vote,
-        mv.is_current_congress AS "isCurrent",
-        mv.created_at AS "createdAt"
-      FROM member_votes mv
-      JOIN bills b ON mv.bill_id = b.id
-      WHERE mv.member_id = $1
-      ORDER BY b.bill_date DESC NULLS LAST, mv.created_at DESC;
-    `,
-      [id]
-    );
-    res.json(result.rows);
-  } catch (err) {
-    console.error("Error fetching member bills:", err);
-    res.status(500).json({ error: "Server error" });
-  }
-});
+    return { row, bioguideId, billId, key, vote, position, isCurrent };
+  });
 
-app.post("/api/members/:id/bills", requireAdmin, async (req, res) => {
-  const { id: memberId } = req.params;
-  const { billId, vote } = req.body || {};
+  const valid = parsed.filter((p) => !p.error);
 
-  if (!billId || !vote) {
-    return res.status(400).json({ error: "billId and vote are required" });
-  }
+  const memberRes = await pool.query(
+    "SELECT id, name, bioguide_id FROM politicians WHERE bioguide_id = ANY($1::text[])",
+    [[...new Set(valid.map((p) => p.bioguideId))]]
+  );
+  const membersByBioguide = new Map(memberRes.rows.map((m) => [m.bioguide_id, m]));
 
-  let isCurrent = null;
-  if (Object.prototype.hasOwnProperty.call(req.body, "isCurrent")) {
-    isCurrent = !!req.body.isCurrent;
-  }
+  const billsByKey = await findBillsByKeys(pool, valid.filter((p) => p.key).map((p) => p.key));
+  const billIds = valid.filter((p) => p.billId).map((p) => p.billId);
+  const billRes = await pool.query(
+    `
+    SELECT id, title, congress
+    FROM bills
+    WHERE id::text = ANY($1::text[])
+  `,
+    [billIds]
+  );
+  const billsById = new Map(billRes.rows.map((b) => [b.id, b]));
+
+  const resolved = parsed.map((p) => {
+    if (p.error) return p;
+    const member = membersByBioguide.get(p.bioguideId);
+    const bill = p.billId ? billsById.get(p.billId) : billsByKey.get(billKeyString(p.key));
+    if (!member) return { ...p, error: "No member with that bioguide id" };
+    if (!bill) return { ...p, error: "No matching bill" };
+    return { ...p, member, bill };
+  });
 
-  try {
-    const result = await pool.query(
-      `
-      INSERT INTO member_votes (id, member_id, bill_id, vote, is_current_congress)
-      VALUES ($1, $2, $3, $4, $5)
-      ON CONFLICT (member_id, bill_id)
-      DO UPDATE SET
-        vote = EXCLUDED.vote,
-        is_current_congress = COALESCE(
-          EXCLUDED.is_current_congress,
-          member_votes.is_current_congress
-        ),
-        created_at = now()
-      RETURNING
-        id AS "voteId",
-        member_id AS "memberId",
-        bill_id AS "billId",
-        vote,
-        is_current_congress AS "isCurrent",
-        created_at AS "createdAt";
-    `,
-      [crypto.randomUUID(), memberId, billId, vote, isCurrent]
-    );
+  const pairs = resolved.filter((p) => !p.error);
+  const existingRes = await pool.query(
+    `
+    SELECT
+      mv.member_id AS "memberId",
+      mv.bill_id AS "billId",
+      mv.vote,
+      mv.position,
+      mv.is_current_congress AS "isCurrent"
+    FROM member_votes mv
+    JOIN unnest($1::uuid[], $2::uuid[]) AS k(member_id, bill_id)
+      ON mv.member_id = k.member_id AND mv.bill_id = k.bill_id
+  `,
+    [pairs.map((p) => p.member.id), pairs.map((p) => p.bill.id)]
+  );
+  const existing = new Map(existingRes.rows.map((v) => [`${v.memberId}:${v.billId}`, v]));
 
-    await recomputeScoresForMember(memberId);
+  const currentCongress = getCurrentCongress();
+  const seen = new Map();
+  return resolved.map((p) => {
+    const base = { row: p.row, bioguideId: p.bioguideId || null, apply: false };
+    if (p.error) return { ...base, status: "error", message: p.error };
 
-    res.json(result.rows[0]);
-  } catch (err) {
-    console.error("Error setting member vote:", err);
-    res.status(500).json({ error: "Server error" });
-  }
-});
+    const pairKey = `${p.member.id}:${p.bill.id}`;
+    if (seen.has(pairKey)) {
+      return { ...base, status: "error", message: `Duplicate of row ${seen.get(pairKey)}` };
+    }
+    seen.set(pairKey, p.row);
+
+    const stored = existing.get(pairKey) || null;
+    const after = {
+      vote: p.vote,
+      position: p.position !== null ? p.position : stored ? stored.position : null,
+      isCurrent:
+        p.isCurrent !== undefined
+          ? p.isCurrent
+          : stored
+            ? stored.isCurrent
+            : p.bill.congress === currentCongress,
+    };
+    const result = {
+      ...base,
+      memberId: p.member.id,
+      memberName: p.member.name,
+      billId: p.bill.id,
+      billTitle: p.bill.title,
+      before: stored && {
+        vote: stored.vote,
+        position: stored.position,
+        isCurrent: stored.isCurrent,
+      },
+      after,
+    };
+
+    if (!stored) return { ...result, status: "new", apply: true };
+    if (
+      stored.vote === after.vote &&
+      stored.position === after.position &&
+      stored.isCurrent === after.isCurrent
+    ) {
+      return { ...result, status: "unchanged" };
+    }
+    return {
+      ...result,
+      status: "conflict",
+      apply: overwrite,
+      message: overwrite ? "Will overwrite the stored vote" : "A different vote is stored; skipped",
+    };
+  });
+}
 
-app.delete(
-  "/api/members/:id/bills/:billId",
-  requireAdmin,
+app.post(
+  "/api/admin/import/votes",
+  requireAdmin("editor"),
+  readImportBody,
   async (req, res) => {
-    const { id: memberId, billId } = req.params;
+    const { records, error } = readImportRecords(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const dryRun = req.body.dryRun !== false;
+    const overwrite = !!req.body.overwrite;
 
     try {
-      const result = await pool.query(
-        `
-        DELETE FROM member_votes
-        WHERE member_id = $1 AND bill_id = $2
-        RETURNING id;
-      `,
-        [memberId, billId]
-      );
+      const rows = await planVoteImport(records, { overwrite });
+      const summary = summarizeImport(rows);
+      const toApply = rows.filter((r) => r.apply);
 
-      if (result.rows.length === 0) {
-        return res
-          .status(404)
-          .json({ error: "Vote not found for this member/bill" });
+      if (dryRun || toApply.length === 0) {
+        return res.json({ dryRun, overwrite, summary, rows });
+      }
+
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        for (const r of toApply) {
+          const before = await loadMemberVoteForAudit(client, r.memberId, r.billId);
+          await client.query(
+            `
+            INSERT INTO member_votes (id, member_id, bill_id, vote, position, is_current_congress)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            ON CONFLICT (member_id, bill_id)
+            DO UPDATE SET
+              vote = EXCLUDED.vote,
+              position = COALESCE(EXCLUDED.position, member_votes.position),
+              is_current_congress = EXCLUDED.is_current_congress,
+              created_at = now()
+          `,
+            [
+              crypto.randomUUID(),
+              r.memberId,
+              r.billId,
+              r.after.vote,
+              r.after.position,
+              r.after.isCurrent,
+            ]
+          );
+          await recordAudit(client, req.admin, {
+            action: before ? "member_vote.import_update" : "member_vote.import_create",
+            entityType: "member_vote",
+            entityId: r.memberId,
+            before,
+            after: await loadMemberVoteForAudit(client, r.memberId, r.billId),
+          });
+        }
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK");
+        throw err;
+      } finally {
+        client.release();
       }
 
-      await recomputeScoresForMember(memberId);
+      await recomputeScores([...new Set(toApply.map((r) => r.memberId))], {
+        cause: "import.votes",
+      });
 
-      res.json({ success: true });
+      res.json({ dryRun, overwrite, summary, applied: toApply.length, rows });
     } catch (err) {
-      console.error("Error deleting member vote:", err);
+      console.error("Error importing votes:", err);
       res.status(500).json({ error: "Server error" });
     }
   }
@@ -1735,7 +6358,14 @@ app.delete(
 const PORT = process.env.PORT || 3000;
 
 initDb()
-  .then(() => {
+  .then(async () => {
+    await migrateLegacyMemberPhotos();
+    await loadScoringSettings();
+    await loadGradeScale();
+    await backfillScoredVoteCounts();
+    await applyCurrentCongress();
+    startCurrentCongressWatcher();
+    await startJobRunner();
     app.listen(PORT, () => {
       console.log("AFScorecard server listening on port", PORT);
     });
@@ -0,0 +1,113 @@
+// Behaviour tests for congressClient.js against a local HTTP fixture server.
+// Run with `npm test`.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import { createCongressClient, CongressApiError } from "../congressClient.js";
+
+// Each test registers a handler for its own path; `hits` counts requests.
+const routes = new Map();
+const hits = new Map();
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    hits.set(pathname, (hits.get(pathname) || 0) + 1);
+    const handler = routes.get(pathname);
+    if (!handler) {
+      res.writeHead(404).end("not found");
+      return;
+    }
+    handler(req, res, hits.get(pathname));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function client(options = {}) {
+  return createCongressClient({
+    baseUrl,
+    apiKey: "test-key",
+    retryBaseDelayMs: 5,
+    requestsPerHour: 0,
+    ...options,
+  });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+test("retries a 429 after the Retry-After delay", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  routes.set("/rate-limited", (req, res, hit) => {
+    if (hit === 1) return sendJson(res, 429, { error: "slow down" }, { "Retry-After": "1" });
+    const { searchParams } = new URL(req.url, "http://localhost");
+    sendJson(res, 200, { apiKey: searchParams.get("api_key"), limit: searchParams.get("limit") });
+  });
+
+  const started = Date.now();
+  const data = await client().get("/rate-limited", { limit: 250 });
+
+  assert.deepEqual(data, { apiKey: "test-key", limit: "250" });
+  assert.equal(hits.get("/rate-limited"), 2);
+  assert.ok(Date.now() - started >= 1000, "waited for Retry-After rather than the 5ms backoff");
+});
+
+test("times out a request that never answers", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  routes.set("/hangs", () => {});
+
+  await assert.rejects(client({ timeoutMs: 50, maxRetries: 1 }).get("/hangs"), (err) => {
+    assert.ok(err instanceof CongressApiError);
+    assert.match(err.message, /timed out after 50ms/);
+    assert.equal(err.status, null);
+    assert.doesNotMatch(err.url, /test-key/);
+    return true;
+  });
+  assert.equal(hits.get("/hangs"), 2);
+});
+
+test("times out a response that stalls mid-body", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  routes.set("/stalls", (req, res) => {
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.write('{"bills": [');
+  });
+
+  await assert.rejects(client({ timeoutMs: 50, maxRetries: 1 }).get("/stalls"), (err) => {
+    assert.ok(err instanceof CongressApiError);
+    assert.match(err.message, /timed out after 50ms/);
+    return true;
+  });
+  assert.equal(hits.get("/stalls"), 2);
+});
+
+test("gives up after maxRetries on repeated server errors", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  routes.set("/down", (req, res) => sendJson(res, 503, { error: "unavailable" }));
+
+  await assert.rejects(client({ maxRetries: 2 }).get("/down"), (err) => {
+    assert.ok(err instanceof CongressApiError);
+    assert.equal(err.status, 503);
+    return true;
+  });
+  assert.equal(hits.get("/down"), 3);
+});
+
+test("does not retry other 4xx responses", async () => {
+  routes.set("/bad-request", (req, res) => sendJson(res, 400, { error: "bad" }));
+
+  await assert.rejects(client().get("/bad-request"), { name: "CongressApiError", status: 400 });
+  assert.equal(hits.get("/bad-request"), 1);
+});